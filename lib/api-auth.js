@@ -0,0 +1,223 @@
+import fs from 'fs';
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 120;
+const DEFAULT_DAILY_RENDER_QUOTA = 50;
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_SIGNED_URL_TTL_MS = 60 * 60 * 1000;
+
+export function createApiAuth(options = {}) {
+  const defaults = {
+    rateLimitPerMinute: normalizeLimit(
+      options.rateLimitPerMinute ?? process.env.API_RATE_LIMIT_PER_MINUTE,
+      DEFAULT_RATE_LIMIT_PER_MINUTE
+    ),
+    dailyRenderQuota: normalizeLimit(
+      options.dailyRenderQuota ?? process.env.API_DAILY_RENDER_QUOTA,
+      DEFAULT_DAILY_RENDER_QUOTA
+    )
+  };
+  const keys = loadKeys({
+    list: options.keys ?? process.env.API_KEYS,
+    file: options.keysFile ?? process.env.API_KEYS_FILE,
+    defaults
+  });
+  const keysByHash = new Map(keys.map((entry) => [hashKey(entry.key), entry]));
+  const keysByName = new Map(keys.map((entry) => [entry.name, entry]));
+  // Without a configured secret, signed URLs stop working when the server restarts.
+  const signingSecret = options.urlSigningSecret ?? process.env.URL_SIGNING_SECRET ?? randomBytes(32).toString('hex');
+  const signedUrlTtlMs = normalizeLimit(options.signedUrlTtlMs ?? process.env.SIGNED_URL_TTL_MS, DEFAULT_SIGNED_URL_TTL_MS);
+  // Running without keys has to be asked for; a production server missing its keys refuses to start.
+  const openAccess = !keysByHash.size && (options.openAccess ?? process.env.API_OPEN_ACCESS === 'true');
+  const production = options.production ?? process.env.NODE_ENV === 'production';
+  if (!keysByHash.size && !openAccess && production) {
+    throw new Error('No API keys configured; set API_KEYS or API_KEYS_FILE, or API_OPEN_ACCESS=true to run without keys');
+  }
+  const rateWindows = new Map();
+  const renderCounts = new Map();
+
+  function authenticate(req, res, next) {
+    if (openAccess) {
+      return next();
+    }
+    if (!keysByHash.size) {
+      return res.status(503).json({ error: 'API keys are not configured on this server' });
+    }
+
+    const presented = extractKey(req);
+    let client;
+    if (presented) {
+      client = keysByHash.get(hashKey(presented));
+      if (!client) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+    } else if (isReadRequest(req) && typeof req.query.token === 'string') {
+      const verified = verifySignedUrl(req.originalUrl);
+      if (verified.error) {
+        return res.status(401).json({ error: verified.error });
+      }
+      client = verified.client;
+    } else {
+      return res.status(401).json({ error: 'Missing API key' });
+    }
+    req.apiClient = client;
+
+    const now = Date.now();
+    let window = rateWindows.get(client.name);
+    if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+      window = { startedAt: now, count: 0 };
+      rateWindows.set(client.name, window);
+    }
+    window.count += 1;
+
+    res.setHeader('X-RateLimit-Limit', client.rateLimitPerMinute);
+    res.setHeader('X-RateLimit-Remaining', Math.max(0, client.rateLimitPerMinute - window.count));
+    if (window.count > client.rateLimitPerMinute) {
+      const retryAfterSeconds = Math.max(1, Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000));
+      res.setHeader('Retry-After', retryAfterSeconds);
+      return res.status(429).json({ error: 'Rate limit exceeded', retryAfterSeconds });
+    }
+
+    return next();
+  }
+
+  function renderQuota(req, res, next) {
+    const client = req.apiClient;
+    if (!client) {
+      return next();
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    let usage = renderCounts.get(client.name);
+    if (!usage || usage.day !== day) {
+      usage = { day, count: 0 };
+      renderCounts.set(client.name, usage);
+    }
+
+    res.setHeader('X-Render-Quota-Limit', client.dailyRenderQuota);
+    if (usage.count >= client.dailyRenderQuota) {
+      const midnight = Date.parse(`${day}T00:00:00.000Z`) + 24 * 60 * 60 * 1000;
+      const retryAfterSeconds = Math.max(1, Math.ceil((midnight - Date.now()) / 1000));
+      res.setHeader('X-Render-Quota-Remaining', 0);
+      res.setHeader('Retry-After', retryAfterSeconds);
+      return res.status(429).json({ error: 'Daily render quota exceeded', retryAfterSeconds });
+    }
+
+    // Reserve the slot up front so concurrent requests cannot all pass the check above; rejected
+    // requests give it back, since validation failures must not burn quota.
+    usage.count += 1;
+    res.setHeader('X-Render-Quota-Remaining', client.dailyRenderQuota - usage.count);
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        usage.count -= 1;
+      }
+    });
+    return next();
+  }
+
+  // EventSource, <video>, <img> and download links cannot send headers, so the links handed to a
+  // client carry a signature for that client and an expiry instead of its key. The token must stay
+  // the last query parameter.
+  function signUrl(url, client) {
+    if (!client) return url;
+    const expires = Math.ceil((Date.now() + signedUrlTtlMs) / 1000);
+    const token = `${Buffer.from(client.name).toString('base64url')}.${expires}.${signature(client.name, expires, url)}`;
+    return `${url}${url.includes('?') ? '&' : '?'}token=${token}`;
+  }
+
+  function verifySignedUrl(originalUrl) {
+    const match = String(originalUrl).match(/^(.*)[?&]token=([\w-]+)\.(\d+)\.([\w-]+)$/);
+    if (!match) return { error: 'Invalid signed URL' };
+    const [, url, encodedName, expires, presented] = match;
+    const client = keysByName.get(Buffer.from(encodedName, 'base64url').toString());
+    const expected = client ? Buffer.from(signature(client.name, expires, url)) : null;
+    if (!expected || expected.length !== presented.length || !timingSafeEqual(expected, Buffer.from(presented))) {
+      return { error: 'Invalid signed URL' };
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+      return { error: 'Signed URL expired' };
+    }
+    return { client };
+  }
+
+  function signature(name, expires, url) {
+    return createHmac('sha256', signingSecret).update(`${name}\n${expires}\n${url}`).digest('base64url');
+  }
+
+  return {
+    enabled: keysByHash.size > 0,
+    openAccess,
+    clients: keys.map(({ name }) => name),
+    authenticate,
+    renderQuota,
+    signUrl
+  };
+}
+
+function isReadRequest(req) {
+  return req.method === 'GET' || req.method === 'HEAD';
+}
+
+function extractKey(req) {
+  const header = req.get('authorization') || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  const apiKeyHeader = req.get('x-api-key');
+  return apiKeyHeader ? apiKeyHeader.trim() : '';
+}
+
+function loadKeys({ list, file, defaults }) {
+  const entries = [];
+  const add = (entry) => {
+    const key = String(entry?.key || '').trim();
+    if (!key || entries.some((existing) => existing.key === key)) return;
+    entries.push({
+      name: String(entry.name || `key-${entries.length + 1}`).trim(),
+      key,
+      rateLimitPerMinute: normalizeLimit(entry.rateLimitPerMinute, defaults.rateLimitPerMinute),
+      dailyRenderQuota: normalizeLimit(entry.dailyRenderQuota, defaults.dailyRenderQuota)
+    });
+  };
+
+  parseKeyList(list).forEach((value) => {
+    const separator = value.indexOf(':');
+    if (separator > 0) {
+      add({ name: value.slice(0, separator), key: value.slice(separator + 1) });
+    } else {
+      add({ key: value });
+    }
+  });
+
+  if (file) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Unable to read API keys file ${file}: ${err?.message || err}`, { cause: err });
+    }
+    const fileEntries = Array.isArray(parsed) ? parsed : parsed?.keys;
+    if (!Array.isArray(fileEntries)) {
+      throw new Error(`API keys file ${file} must contain an array or a { "keys": [...] } object`);
+    }
+    fileEntries.forEach(add);
+  }
+
+  return entries;
+}
+
+function parseKeyList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function normalizeLimit(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
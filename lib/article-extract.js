@@ -0,0 +1,313 @@
+// Readability-style main-content extraction for fetched web pages: the page is parsed into a
+// loose element tree, boilerplate (navigation, sidebars, share bars, comments) is dropped, and the
+// container holding the most paragraph text is kept.
+
+import { scanHtml } from './html-scan.js';
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'title']);
+const REMOVED_TAGS = new Set([
+  'nav', 'aside', 'form', 'button', 'select', 'textarea', 'input', 'iframe', 'object', 'embed', 'dialog', 'menu',
+  'canvas', 'video', 'audio', 'picture', 'img', 'link', 'meta'
+]);
+const BOILERPLATE_ROLES = /^(navigation|banner|contentinfo|complementary|dialog|alert|menu|menubar|search)$/i;
+const UNLIKELY_CANDIDATES = /-ad-|ad-break|advert|agegate|banner|breadcrumb|byline|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|nav|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|toolbar|tweet|twitter|widget/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|post|shadow|story|text/i;
+const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|story|text|blog/i;
+const NEGATIVE_HINTS = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const PARAGRAPH_TAGS = new Set(['p', 'pre', 'td', 'blockquote']);
+const MIN_PARAGRAPH_CHARS = 25;
+const MIN_ARTICLE_CHARS = 250;
+// Elements nested deeper than this are flattened into their ancestor at the limit, which keeps the
+// recursive passes below bounded on hostile or broken pages.
+const MAX_NESTING_DEPTH = 256;
+
+// Returns the page title and a stripped-down HTML document holding only the main content (tags
+// without attributes), ready for htmlToPlainText.
+export function extractArticle(html) {
+  const root = parseHtml(String(html || ''));
+  const title = pageTitle(root);
+
+  const body = findFirst(root, (node) => node.tag === 'body') || root;
+  measure(body);
+  const pageTextLength = textLength(body);
+  removeBoilerplate(body);
+  measure(body);
+
+  const candidate = pickCandidate(body);
+  const content = candidate && textLength(candidate) >= MIN_ARTICLE_CHARS ? candidate : body;
+  const parts = withRelatedSiblings(content);
+  parts.forEach(removeLinkLists);
+  parts.forEach(measure);
+
+  const fragment = parts.map(serialize).join('\n');
+  return {
+    title,
+    html: `<html><head><title>${escapeText(title)}</title></head><body>\n${fragment}\n</body></html>`,
+    textLength: parts.reduce((sum, node) => sum + textLength(node), 0),
+    pageTextLength
+  };
+}
+
+function parseHtml(html) {
+  // Raw-text elements are not parsed; the first <title> is kept on the root for pageTitle.
+  const root = { tag: '#root', attrs: {}, children: [], parent: null, title: null };
+  const stack = [root];
+  const flattened = new Map();
+
+  scanHtml(html, {
+    text(text) {
+      stack[stack.length - 1].children.push(text);
+    },
+    rawText(tag, content) {
+      if (tag === 'title' && root.title === null) root.title = content;
+    },
+    close(tag) {
+      if (flattened.get(tag)) {
+        flattened.set(tag, flattened.get(tag) - 1);
+        return;
+      }
+      // Close the nearest open element with this tag; stray closing tags are ignored.
+      const index = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    },
+    open(tag, attributes) {
+      if (tag === 'p' || tag === 'li' || BLOCK_TAGS.has(tag)) {
+        const top = stack[stack.length - 1];
+        if (top.tag === 'p' || (tag === 'li' && top.tag === 'li')) stack.pop();
+      }
+      if (stack.length > MAX_NESTING_DEPTH && !VOID_TAGS.has(tag)) {
+        flattened.set(tag, (flattened.get(tag) || 0) + 1);
+        return;
+      }
+      const node = { tag, attrs: parseAttributes(attributes), children: [], parent: stack[stack.length - 1] };
+      node.parent.children.push(node);
+      if (!VOID_TAGS.has(tag)) stack.push(node);
+    }
+  }, RAW_TEXT_TAGS);
+  return root;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attrs;
+}
+
+function pageTitle(root) {
+  const meta = findFirst(root, (node) => node.tag === 'meta' &&
+    [node.attrs.property, node.attrs.name].some((value) => /^og:title$/i.test(value || '')));
+  const ogTitle = meta?.attrs.content;
+  if (ogTitle?.trim()) return decodeBasicEntities(ogTitle.trim());
+
+  const titleTag = root.title;
+  const h1 = findFirst(root, (node) => node.tag === 'h1');
+  const heading = h1 ? innerText(h1).trim() : '';
+  const title = decodeBasicEntities(String(titleTag || '').replace(/\s+/g, ' ').trim());
+  // "Post title | Site name": keep the part that matches the page heading, or the longest part.
+  const segments = title.split(/\s+[|\-–—»·]\s+/).filter(Boolean);
+  if (segments.length > 1) {
+    return segments.find((segment) => heading && heading.includes(segment)) ||
+      segments.reduce((longest, segment) => (segment.length > longest.length ? segment : longest));
+  }
+  return title || heading;
+}
+
+function removeBoilerplate(node) {
+  node.children = node.children.filter((child) => {
+    if (typeof child === 'string') return true;
+    if (isBoilerplate(child)) return false;
+    removeBoilerplate(child);
+    return true;
+  });
+}
+
+function isBoilerplate(node) {
+  if (REMOVED_TAGS.has(node.tag)) return true;
+  if (node.attrs.hidden !== undefined || node.attrs['aria-hidden'] === 'true') return true;
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.attrs.style || '')) return true;
+  if (BOILERPLATE_ROLES.test(node.attrs.role || '')) return true;
+  if ((node.tag === 'header' || node.tag === 'footer') && !hasAncestor(node, ['article', 'main'])) return true;
+
+  const hints = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+  return (
+    !['body', 'article', 'main', 'a'].includes(node.tag) &&
+    UNLIKELY_CANDIDATES.test(hints) &&
+    !MAYBE_CANDIDATES.test(hints) &&
+    !node.stats.hasArticle
+  );
+}
+
+function pickCandidate(body) {
+  const scores = new Map();
+  walk(body, (node) => {
+    if (!PARAGRAPH_TAGS.has(node.tag)) return;
+    const { textLength: length, commas } = node.stats;
+    if (length < MIN_PARAGRAPH_CHARS) return;
+
+    // Paragraph score flows to its parent in full and to further ancestors at a falling rate.
+    const score = 1 + commas + Math.min(Math.floor(length / 100), 3);
+    let ancestor = node.parent;
+    for (let level = 0; ancestor && ancestor !== body.parent && level < 5; level += 1) {
+      if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+      scores.set(ancestor, scores.get(ancestor) + score / (level === 0 ? 1 : level === 1 ? 2 : level * 3));
+      ancestor = ancestor.parent;
+    }
+  });
+
+  let best = null;
+  scores.forEach((score, node) => {
+    node.score = score * (1 - linkDensity(node));
+    if (node.score > (best?.score ?? 0)) best = node;
+  });
+  return best;
+}
+
+function initialScore(node) {
+  let score = 0;
+  if (node.tag === 'article' || node.tag === 'main') score += 10;
+  else if (node.tag === 'div' || node.tag === 'section') score += 5;
+  else if (['pre', 'td', 'blockquote'].includes(node.tag)) score += 3;
+  else if (['ol', 'ul', 'dl', 'dd', 'dt', 'li', 'address'].includes(node.tag)) score -= 3;
+  else if (/^h[1-6]$/.test(node.tag) || node.tag === 'th') score -= 5;
+
+  const hints = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+  if (NEGATIVE_HINTS.test(hints)) score -= 25;
+  if (POSITIVE_HINTS.test(hints)) score += 25;
+  return score;
+}
+
+// Siblings that continue the article (split content wrappers, the lead image caption, the headline
+// placed just outside the content div) are kept alongside the chosen container, in page order.
+function withRelatedSiblings(node) {
+  if (!node.parent || node.score === undefined) return [node];
+  const threshold = Math.max(10, node.score * 0.2);
+  const position = node.parent.children.indexOf(node);
+  return node.parent.children.filter((sibling, index) => {
+    if (sibling === node) return true;
+    if (typeof sibling === 'string') return false;
+    if (/^h[12]$/.test(sibling.tag)) return index < position;
+    if (sibling.tag === 'p') {
+      const text = innerText(sibling).trim();
+      const density = linkDensity(sibling);
+      return (text.length > 80 && density < 0.25) || (density === 0 && /\.( |$)/.test(text));
+    }
+    return (sibling.score ?? 0) >= threshold;
+  });
+}
+
+// Lists and blocks that are mostly links (tag clouds, "read next", table of contents) are dropped.
+function removeLinkLists(node) {
+  node.children = node.children.filter((child) => {
+    if (typeof child === 'string') return true;
+    if (['ul', 'ol', 'div', 'section', 'table', 'dl'].includes(child.tag)) {
+      if (!textLength(child) || (linkDensity(child) > 0.5 && !child.stats.hasHeading)) return false;
+    }
+    removeLinkLists(child);
+    return true;
+  });
+}
+
+function serialize(node) {
+  if (typeof node === 'string') return node;
+  const inner = node.children.map(serialize).join('');
+  if (node.tag === '#root' || node.tag === 'a' || node.tag === 'span') return inner;
+  if (VOID_TAGS.has(node.tag)) return `<${node.tag}>`;
+  return `<${node.tag}>${inner}</${node.tag}>`;
+}
+
+function linkDensity(node) {
+  const total = textLength(node);
+  return total ? Math.min(1, node.stats.linkLength / total) : 0;
+}
+
+function textLength(node) {
+  return node.stats.textLength;
+}
+
+// Text statistics for every element under root, filled in children-first in a single pass so the
+// scoring passes never re-read a subtree's text. Lengths are summed per text run, whitespace-trimmed.
+function measure(root) {
+  const order = [];
+  const pending = [root];
+  while (pending.length) {
+    const node = pending.pop();
+    order.push(node);
+    node.children.forEach((child) => {
+      if (typeof child !== 'string') pending.push(child);
+    });
+  }
+
+  for (let index = order.length - 1; index >= 0; index -= 1) {
+    const node = order[index];
+    const stats = { textLength: 0, linkLength: 0, commas: 0, hasArticle: false, hasHeading: false };
+    node.children.forEach((child) => {
+      if (typeof child === 'string') {
+        const text = decodeBasicEntities(child).replace(/\s+/g, ' ').trim();
+        stats.textLength += text.length;
+        stats.commas += (text.match(/[,，、]/g) || []).length;
+        return;
+      }
+      stats.textLength += child.stats.textLength;
+      stats.linkLength += child.stats.linkLength;
+      stats.commas += child.stats.commas;
+      stats.hasArticle ||= child.tag === 'article' || child.tag === 'main' || child.stats.hasArticle;
+      stats.hasHeading ||= /^h[1-6]$/.test(child.tag) || child.stats.hasHeading;
+    });
+    if (node.tag === 'a') stats.linkLength = stats.textLength;
+    node.stats = stats;
+  }
+}
+
+function innerText(node) {
+  if (typeof node === 'string') return decodeBasicEntities(node);
+  return node.children.map(innerText).join(node.tag === 'br' ? '\n' : '');
+}
+
+// Document-order traversal of the elements below node, with an explicit stack.
+function walk(node, visit) {
+  findFirst(node, (child) => {
+    visit(child);
+    return false;
+  });
+}
+
+function findFirst(node, predicate) {
+  const pending = node.children.slice().reverse();
+  while (pending.length) {
+    const child = pending.pop();
+    if (typeof child === 'string') continue;
+    if (predicate(child)) return child;
+    for (let index = child.children.length - 1; index >= 0; index -= 1) pending.push(child.children[index]);
+  }
+  return null;
+}
+
+function hasAncestor(node, tags) {
+  for (let current = node.parent; current; current = current.parent) {
+    if (tags.includes(current.tag)) return true;
+  }
+  return false;
+}
+
+function decodeBasicEntities(text) {
+  return String(text || '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#0?39;|&apos;/gi, '\'')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&amp;/gi, '&');
+}
+
+function escapeText(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,366 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import sharp from 'sharp';
+import { forgetFontFiles, readFontInfo } from '../src/font-embed.js';
+
+const INDEX_FILENAME = 'index.json';
+const LOGO_FILENAME = 'logo.png';
+const FONTS_DIRNAME = 'fonts';
+const LOGO_MAX_SIDE = 1024;
+const MAX_NAME_LENGTH = 80;
+const MAX_WATERMARK_TEXT = 60;
+const MAX_CHART_COLORS = 6;
+export const MAX_BRAND_FONTS = 4;
+export const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+export const WATERMARK_POSITIONS = [...LOGO_POSITIONS, 'center', 'none'];
+const DEFAULT_WATERMARK_OPACITY = 0.15;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+const KIT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Brand kits: a logo, font files, a color palette and watermark settings, stored as
+// <dir>/<id>/logo.png and <dir>/<id>/fonts/* with the records in <dir>/index.json.
+export function createBrandKitStore(options = {}) {
+  const dir = path.resolve(options.dir || process.env.BRAND_KITS_DIR || path.join('tmp', 'brand-kits'));
+  const indexPath = path.join(dir, INDEX_FILENAME);
+  const records = new Map();
+  let writeChain = Promise.resolve();
+
+  function kitDir(id) {
+    return path.join(dir, id);
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify({ version: 1, kits: Array.from(records.values()) }, null, 2);
+    writeChain = writeChain
+      .then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const tmpPath = `${indexPath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.rename(tmpPath, indexPath);
+      })
+      .catch((err) => {
+        console.warn('Failed to persist brand kit index', err);
+      });
+    return writeChain;
+  }
+
+  async function readIndex() {
+    try {
+      const parsed = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+      return Array.isArray(parsed?.kits) ? parsed.kits : [];
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        console.warn('Brand kit index unreadable; starting empty', err);
+      }
+      return [];
+    }
+  }
+
+  async function writeLogo(id, buffer) {
+    let output;
+    try {
+      output = await sharp(buffer)
+        .resize({ width: LOGO_MAX_SIDE, height: LOGO_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+    } catch {
+      throw brandKitError('Logo must be a PNG, JPEG, WebP or SVG image', 415);
+    }
+    await fs.mkdir(kitDir(id), { recursive: true });
+    await fs.writeFile(path.join(kitDir(id), LOGO_FILENAME), output.data);
+    return { filename: LOGO_FILENAME, width: output.info.width, height: output.info.height };
+  }
+
+  async function writeFonts(id, files) {
+    const fontsDir = path.join(kitDir(id), FONTS_DIRNAME);
+    await fs.mkdir(fontsDir, { recursive: true });
+    const fonts = [];
+    for (const file of files) {
+      // Content-addressed, so a path always maps to the same face in the font-embed cache.
+      const filename = `${createHash('sha1').update(file.buffer).digest('hex').slice(0, 16)}${file.extension}`;
+      await fs.writeFile(path.join(fontsDir, filename), file.buffer);
+      fonts.push({ filename, family: file.info.family, weight: file.info.weight, italic: file.info.italic, size: file.buffer.length });
+    }
+    return fonts;
+  }
+
+  function fontPaths(record) {
+    return record.fonts.map((font) => path.join(kitDir(record.id), FONTS_DIRNAME, font.filename));
+  }
+
+  function withPaths(record) {
+    return { ...record, logoPath: record.logo ? path.join(kitDir(record.id), record.logo.filename) : null };
+  }
+
+  const store = {
+    dir,
+
+    async load() {
+      records.clear();
+      for (const entry of await readIndex()) {
+        if (!entry?.id || !KIT_ID_PATTERN.test(entry.id)) continue;
+        const exists = await fs
+          .access(kitDir(entry.id))
+          .then(() => true)
+          .catch(() => false);
+        if (exists) records.set(entry.id, entry);
+      }
+      await persist();
+      return { loaded: records.size };
+    },
+
+    list() {
+      return Array.from(records.values())
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(withPaths);
+    },
+
+    get(id) {
+      const record = records.get(id);
+      return record ? withPaths(record) : null;
+    },
+
+    async create({ logo, fonts = [], ...fields } = {}) {
+      const settings = normalizeSettings(fields, { requireName: true });
+      const fontFiles = parseFontFiles(fonts);
+      const fontFamily = resolveFontFamily(settings.fontFamily, fontFiles.map((file) => file.info));
+      const id = randomUUID();
+      const now = Date.now();
+      try {
+        const record = {
+          id,
+          name: settings.name,
+          createdAt: now,
+          updatedAt: now,
+          palette: settings.palette ?? {},
+          fontFamily,
+          fonts: fontFiles.length ? await writeFonts(id, fontFiles) : [],
+          logo: logo ? await writeLogo(id, logo) : null,
+          logoPosition: settings.logoPosition ?? 'top-right',
+          watermark: {
+            position: settings.watermark.position ?? 'none',
+            opacity: settings.watermark.opacity ?? DEFAULT_WATERMARK_OPACITY,
+            text: settings.watermark.text ?? null
+          }
+        };
+        await fs.mkdir(kitDir(id), { recursive: true });
+        records.set(id, record);
+        await persist();
+        return withPaths(record);
+      } catch (err) {
+        await fs.rm(kitDir(id), { recursive: true, force: true }).catch(() => {});
+        throw err;
+      }
+    },
+
+    // Partial update: only the given fields change. Uploaded fonts replace the kit's fonts.
+    async update(id, { logo, fonts = [], removeLogo = false, ...fields } = {}) {
+      const current = records.get(id);
+      if (!current) return null;
+      const settings = normalizeSettings(fields, { requireName: false });
+      const fontFiles = parseFontFiles(fonts);
+      const fontFamily = resolveFontFamily(
+        settings.fontFamily ?? current.fontFamily,
+        fontFiles.length ? fontFiles.map((file) => file.info) : current.fonts,
+        { strict: settings.fontFamily !== undefined }
+      );
+
+      const next = { ...current, fontFamily, updatedAt: Date.now() };
+      if (settings.name !== undefined) next.name = settings.name;
+      if (settings.palette !== undefined) next.palette = settings.palette;
+      if (settings.logoPosition !== undefined) next.logoPosition = settings.logoPosition;
+      next.watermark = {
+        position: settings.watermark.position ?? current.watermark.position,
+        opacity: settings.watermark.opacity ?? current.watermark.opacity,
+        text: settings.watermark.text !== undefined ? settings.watermark.text : current.watermark.text
+      };
+
+      const replacedFonts = fontFiles.length ? fontPaths(current) : [];
+      if (fontFiles.length) {
+        next.fonts = await writeFonts(id, fontFiles);
+      }
+      if (logo) {
+        next.logo = await writeLogo(id, logo);
+      } else if (removeLogo && current.logo) {
+        await fs.unlink(path.join(kitDir(id), current.logo.filename)).catch(() => {});
+        next.logo = null;
+      }
+
+      const kept = new Set(fontPaths(next));
+      const stale = replacedFonts.filter((fontPath) => !kept.has(fontPath));
+      await Promise.all(stale.map((fontPath) => fs.unlink(fontPath).catch(() => {})));
+      forgetFontFiles(stale);
+
+      records.set(id, next);
+      await persist();
+      return withPaths(next);
+    },
+
+    async remove(id) {
+      const record = records.get(id);
+      if (!record) return false;
+      records.delete(id);
+      forgetFontFiles(fontPaths(record));
+      await fs.rm(kitDir(id), { recursive: true, force: true });
+      await persist();
+      return true;
+    },
+
+    // What composeSlideSVG needs from a kit; plain JSON, so it can go into the slide cache key.
+    renderOptions(id) {
+      const record = records.get(id);
+      if (!record) return null;
+      return {
+        id: record.id,
+        updatedAt: record.updatedAt,
+        palette: record.palette,
+        fontFamily: record.fontFamily,
+        fonts: fontPaths(record),
+        logo: record.logo
+          ? {
+              path: path.join(kitDir(record.id), record.logo.filename),
+              width: record.logo.width,
+              height: record.logo.height,
+              position: record.logoPosition
+            }
+          : null,
+        watermark: record.watermark
+      };
+    }
+  };
+
+  return store;
+}
+
+export function brandKitError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Fields arrive as JSON or as multipart strings, so numbers and the palette may be strings.
+function normalizeSettings(fields, { requireName }) {
+  const settings = { watermark: {} };
+
+  if (fields.name !== undefined || requireName) {
+    const name = typeof fields.name === 'string' ? fields.name.trim() : '';
+    if (!name) throw brandKitError('Brand kit name is required');
+    if (name.length > MAX_NAME_LENGTH) {
+      throw brandKitError(`Brand kit name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    settings.name = name;
+  }
+
+  if (fields.palette !== undefined && fields.palette !== '') {
+    settings.palette = normalizePalette(fields.palette);
+  }
+
+  if (fields.fontFamily !== undefined && fields.fontFamily !== '') {
+    settings.fontFamily = String(fields.fontFamily).trim();
+  }
+
+  if (fields.logoPosition !== undefined && fields.logoPosition !== '') {
+    if (!LOGO_POSITIONS.includes(fields.logoPosition)) {
+      throw brandKitError(`logoPosition must be one of: ${LOGO_POSITIONS.join(', ')}`);
+    }
+    settings.logoPosition = fields.logoPosition;
+  }
+
+  if (fields.watermarkPosition !== undefined && fields.watermarkPosition !== '') {
+    if (!WATERMARK_POSITIONS.includes(fields.watermarkPosition)) {
+      throw brandKitError(`watermarkPosition must be one of: ${WATERMARK_POSITIONS.join(', ')}`);
+    }
+    settings.watermark.position = fields.watermarkPosition;
+  }
+
+  if (fields.watermarkOpacity !== undefined && fields.watermarkOpacity !== '') {
+    const opacity = Number(fields.watermarkOpacity);
+    if (!Number.isFinite(opacity) || opacity <= 0 || opacity > 1) {
+      throw brandKitError('watermarkOpacity must be a number above 0 and at most 1');
+    }
+    settings.watermark.opacity = opacity;
+  }
+
+  if (fields.watermarkText !== undefined) {
+    const text = String(fields.watermarkText ?? '').trim();
+    if (text.length > MAX_WATERMARK_TEXT) {
+      throw brandKitError(`watermarkText must be at most ${MAX_WATERMARK_TEXT} characters`);
+    }
+    settings.watermark.text = text || null;
+  }
+
+  return settings;
+}
+
+function normalizePalette(value) {
+  let palette = value;
+  if (typeof palette === 'string') {
+    try {
+      palette = JSON.parse(palette);
+    } catch {
+      throw brandKitError('palette must be a JSON object');
+    }
+  }
+  if (!palette || typeof palette !== 'object' || Array.isArray(palette)) {
+    throw brandKitError('palette must be an object');
+  }
+
+  const normalized = {};
+  for (const key of ['background', 'foreground', 'accent']) {
+    if (palette[key] === undefined || palette[key] === null || palette[key] === '') continue;
+    if (!HEX_COLOR.test(palette[key])) {
+      throw brandKitError(`palette.${key} must be a hex color like #1A2B3C`);
+    }
+    normalized[key] = palette[key];
+  }
+  if (palette.chart !== undefined && palette.chart !== null) {
+    if (!Array.isArray(palette.chart) || !palette.chart.every((color) => HEX_COLOR.test(color))) {
+      throw brandKitError('palette.chart must be an array of hex colors');
+    }
+    if (palette.chart.length > MAX_CHART_COLORS) {
+      throw brandKitError(`palette.chart takes at most ${MAX_CHART_COLORS} colors`);
+    }
+    if (palette.chart.length) normalized.chart = palette.chart;
+  }
+  return normalized;
+}
+
+function parseFontFiles(files) {
+  if (files.length > MAX_BRAND_FONTS) {
+    throw brandKitError(`A brand kit takes at most ${MAX_BRAND_FONTS} font files`);
+  }
+  return files.map((file) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!FONT_EXTENSIONS.includes(extension)) {
+      throw brandKitError(`${file.originalname || 'Font'} is not a .ttf or .otf file`, 415);
+    }
+    let info;
+    try {
+      info = readFontInfo(file.buffer);
+    } catch (err) {
+      throw brandKitError(`${file.originalname}: ${err.message}`, 415);
+    }
+    // resvg matches the family by its literal name, and these characters cannot be written in the
+    // slide's CSS without escapes it does not read.
+    if (/["\\\p{Cc}]|\]\]>/u.test(info.family)) {
+      throw brandKitError(`${file.originalname}: font family name ${JSON.stringify(info.family)} is not supported`, 415);
+    }
+    return { buffer: file.buffer, extension, info };
+  });
+}
+
+// The kit's family must be one its fonts provide; without one, the first font's family is used.
+function resolveFontFamily(requested, fonts, { strict = true } = {}) {
+  const families = Array.from(new Set(fonts.map((font) => font.family)));
+  if (requested && families.includes(requested)) return requested;
+  if (requested && strict) {
+    throw brandKitError(
+      families.length
+        ? `fontFamily "${requested}" is not in the uploaded fonts (${families.join(', ')})`
+        : 'fontFamily needs at least one uploaded font'
+    );
+  }
+  return families[0] ?? null;
+}
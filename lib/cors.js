@@ -0,0 +1,47 @@
+const ALLOWED_METHODS = 'GET, POST, PATCH, DELETE, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, Authorization, X-API-Key, Last-Event-ID, Range';
+const EXPOSED_HEADERS = [
+  'Content-Disposition',
+  'Content-Range',
+  'Retry-After',
+  'X-RateLimit-Limit',
+  'X-RateLimit-Remaining',
+  'X-Render-Quota-Limit',
+  'X-Render-Quota-Remaining'
+].join(', ');
+
+export function createCorsMiddleware(options = {}) {
+  const origins = parseOriginList(options.origins ?? process.env.CORS_ORIGINS);
+  const allowAny = origins.includes('*');
+
+  return function cors(req, res, next) {
+    const origin = req.get('origin');
+    if (!allowAny) {
+      res.append('Vary', 'Origin');
+    }
+    if (origin && (allowAny || origins.includes(normalizeOrigin(origin)))) {
+      res.setHeader('Access-Control-Allow-Origin', allowAny ? '*' : origin);
+      res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS);
+      res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+      res.setHeader('Access-Control-Max-Age', '600');
+      return res.sendStatus(204);
+    }
+    return next();
+  };
+}
+
+function parseOriginList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(/[\s,;]+/)
+    .map(normalizeOrigin)
+    .filter(Boolean);
+}
+
+function normalizeOrigin(value) {
+  return String(value || '').trim().replace(/\/+$/, '');
+}
@@ -1,21 +1,516 @@
+import path from 'path';
 import { createRequire } from 'module';
+import mammoth from 'mammoth';
+import { extractPdfLayout } from './pdf-layout.js';
+import { openPdfDocument } from './pdf-images.js';
+import { scanHtml } from './html-scan.js';
 
 const require = createRequire(import.meta.url);
 // Import internal build of pdf-parse to avoid ESM issues during runtime.
 const pdfParse = require('pdf-parse/lib/pdf-parse.js');
 
-export async function pdfBufferToPlainText(buffer) {
+// Formats without real pagination report an estimated page count.
+const CHARS_PER_PAGE = 3000;
+
+const HTML_RAW_TEXT_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'title']);
+const HTML_BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'blockquote', 'pre', 'table', 'tr', 'ul',
+  'ol', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'hr'
+]);
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const MIME_FORMATS = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'text/plain': 'text'
+};
+
+const EXTENSION_FORMATS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.txt': 'text',
+  '.text': 'text'
+};
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  ndash: '-',
+  mdash: '-',
+  hellip: '...',
+  lsquo: '\'',
+  rsquo: '\'',
+  ldquo: '"',
+  rdquo: '"',
+  bull: '-',
+  middot: '-',
+  copy: '(c)',
+  reg: '(R)',
+  trade: '(TM)'
+};
+
+export const SUPPORTED_DOCUMENT_FORMATS = ['pdf', 'docx', 'markdown', 'html', 'text'];
+
+const MAX_SECTION_TITLES = 20;
+const MAX_SECTION_TITLE_CHARS = 200;
+
+export function detectDocumentFormat({ buffer, mimetype, filename } = {}) {
+  if (!buffer || !buffer.length) return null;
+
+  // Magic bytes win over client-supplied metadata, which browsers often get wrong.
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) {
+    return buffer.includes('word/document.xml') ? 'docx' : null;
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+    return null;
+  }
+  if (!looksLikeText(buffer)) return null;
+
+  const mimeFormat = MIME_FORMATS[String(mimetype || '').split(';')[0].trim().toLowerCase()];
+  if (mimeFormat && mimeFormat !== 'pdf' && mimeFormat !== 'docx') return mimeFormat;
+  const extensionFormat = EXTENSION_FORMATS[path.extname(String(filename || '')).toLowerCase()];
+  if (extensionFormat && extensionFormat !== 'pdf' && extensionFormat !== 'docx') return extensionFormat;
+
+  const head = buffer.subarray(0, 2048).toString('utf8').trimStart().toLowerCase();
+  if (/^(<\?xml[^>]*>\s*)?(<!doctype html|<html[\s>])/.test(head)) return 'html';
+  if (/^#{1,6}\s+\S/m.test(buffer.toString('utf8'))) return 'markdown';
+  return 'text';
+}
+
+export async function documentBufferToPlainText(buffer, { format, mimetype, filename, password, maxPages } = {}) {
+  const resolved = format || detectDocumentFormat({ buffer, mimetype, filename });
+  switch (resolved) {
+    case 'pdf':
+      return { ...(await pdfBufferToPlainText(buffer, { password, maxPages })), format: resolved };
+    case 'docx':
+      return withEstimatedPages(await docxBufferToPlainText(buffer), resolved);
+    case 'markdown':
+      return withEstimatedPages(markdownToPlainText(decodeText(buffer)), resolved);
+    case 'html':
+      return withEstimatedPages(htmlToPlainText(decodeText(buffer)), resolved);
+    case 'text':
+      return withEstimatedPages(cleanText(decodeText(buffer)), resolved);
+    default:
+      throw new Error(
+        `Unsupported document format; upload one of: ${SUPPORTED_DOCUMENT_FORMATS.join(', ')}`
+      );
+  }
+}
+
+/**
+ * Encrypted, damaged and oversized PDFs throw errors with a stable `code` (`pdf_encrypted`,
+ * `pdf_password_incorrect`, `pdf_corrupt`, `pdf_too_many_pages`) and an HTTP `status`.
+ * A PDF without a text layer resolves with empty text; callers decide whether OCR can help.
+ */
+export async function pdfBufferToPlainText(buffer, { password, maxPages } = {}) {
   if (!buffer || !buffer.length) {
-    return { text: '', pageCount: 0 };
+    return { text: '', pageCount: 0, pages: [], outline: [], tables: [] };
+  }
+
+  // Opening the document first tells encryption and broken files apart from PDFs that merely lack text.
+  const numPages = await countPdfPages(buffer, password);
+  if (maxPages && numPages > maxPages) {
+    throw documentError('pdf_too_many_pages', `PDF has ${numPages} pages; at most ${maxPages} are supported`, 413);
+  }
+
+  const structured = await extractPdfLayout(buffer, { password }).catch((err) => {
+    console.warn('Structured PDF extraction failed; falling back to flat text', err);
+    return null;
+  });
+  if (structured?.text) {
+    return { ...structured, text: cleanText(structured.text) };
+  }
+
+  const result = await pdfParse({ data: buffer, password }).catch((err) => {
+    if (structured) return { text: '', numpages: structured.pageCount };
+    throw describePdfFailure(err);
+  });
+  const cleaned = cleanText(result?.text || '');
+
+  const pageCount = Number.isFinite(result?.numpages) ? result.numpages : 0;
+  return { text: cleaned, pageCount, pages: [], outline: [], tables: [] };
+}
+
+// "12-30", "7", "1-3, 7, 10-12" or an open-ended "40-" as sorted, merged [start, end] ranges.
+// Blank input gives [] and malformed input null.
+export function parsePageRanges(value) {
+  const source = String(value ?? '').trim();
+  if (!source) return [];
+  const ranges = [];
+  for (const part of source.split(',')) {
+    const match = part.trim().match(/^(\d{1,5})(?:\s*[-\u2013]\s*(\d{1,5})?)?$/);
+    if (!match) return null;
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : /[-\u2013]/.test(part) ? Infinity : start;
+    if (start < 1 || end < start) return null;
+    ranges.push([start, end]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+export function formatPageRanges(ranges) {
+  return ranges
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end === Infinity ? '' : end}`))
+    .join(', ');
+}
+
+export function pageInRanges(page, ranges) {
+  return ranges.some(([start, end]) => page >= start && page <= end);
+}
+
+// Heading titles as an array, or one string with titles separated by newlines or semicolons.
+export function parseSectionTitles(value) {
+  const titles = Array.isArray(value) ? value : String(value ?? '').split(/[\n;]/);
+  return titles
+    .map((title) => String(title ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_SECTION_TITLE_CHARS))
+    .filter((title) => normalizeHeading(title))
+    .slice(0, MAX_SECTION_TITLES);
+}
+
+/**
+ * Restricts extracted text to the given pages and/or the sections under the given headings,
+ * keeping `pages`, `outline` and `tables` in step. Page numbers stay those of the full document.
+ * Adds `selection: { pages, sections, missingSections, pageCount, chars, totalChars }`.
+ */
+export function selectDocumentText(extracted, { pageRanges = [], sections = [] } = {}) {
+  if (!pageRanges.length && !sections.length) return extracted;
+  const paged = Boolean(extracted.pages?.length);
+  let entries = paged ? extracted.pages : [{ page: null, text: extracted.text }];
+  const selection = {};
+
+  if (pageRanges.length) {
+    if (!paged) throw documentError('pages_unavailable', 'Page numbers are not available for this document', 422);
+    const applied = pageRanges
+      .filter(([start]) => start <= extracted.pageCount)
+      .map(([start, end]) => [start, Math.min(end, extracted.pageCount)]);
+    if (!applied.length) {
+      throw documentError(
+        'pages_out_of_range',
+        `Pages ${formatPageRanges(pageRanges)} are outside the document (${extracted.pageCount} pages)`,
+        422
+      );
+    }
+    entries = entries.filter((entry) => pageInRanges(entry.page, applied));
+    selection.pages = formatPageRanges(applied);
+  }
+
+  const keptHeadings = new Set();
+  if (sections.length) {
+    const wanted = sections.map((title) => ({ title, key: normalizeHeading(title) }));
+    const matched = new Map();
+    const scope = new Set(entries.map((entry) => entry.page));
+    let activeLevel = null;
+    entries = entries.map((entry) => {
+      const kept = [];
+      entry.text.split('\n').forEach((line) => {
+        const heading = line.match(/^(#{1,6})[ \t]+(.+)$/);
+        if (heading) {
+          const level = heading[1].length;
+          // A section runs until the next heading of the same or a higher level.
+          if (activeLevel !== null && level <= activeLevel) activeLevel = null;
+          const key = normalizeHeading(heading[2]);
+          const match = activeLevel === null ? wanted.find((candidate) => headingMatches(key, candidate.key)) : null;
+          if (match) {
+            activeLevel = level;
+            if (!matched.has(match.title)) matched.set(match.title, heading[2].trim());
+          }
+          if (activeLevel !== null) keptHeadings.add(`${entry.page}|${heading[2].trim()}`);
+        }
+        if (activeLevel !== null) kept.push(line);
+      });
+      return { ...entry, text: cleanText(kept.join('\n')) };
+    }).filter((entry) => entry.text);
+
+    if (!matched.size) {
+      const available = extracted.outline
+        .filter((entry) => scope.has(entry.page))
+        .slice(0, 10)
+        .map((entry) => entry.title);
+      throw documentError(
+        'section_not_found',
+        `No heading matches ${sections.map((title) => `"${title}"`).join(', ')}${
+          selection.pages ? ` on pages ${selection.pages}` : ''
+        }${available.length ? `; headings include: ${available.join(' | ')}` : '; the document has no headings'}`,
+        422
+      );
+    }
+    selection.sections = Array.from(matched.values());
+    const missing = wanted.filter((entry) => !matched.has(entry.title)).map((entry) => entry.title);
+    if (missing.length) selection.missingSections = missing;
+  }
+
+  const text = entries
+    .map((entry) => entry.text)
+    .filter(Boolean)
+    .join('\n\n');
+  const keptPages = new Set(entries.map((entry) => entry.page));
+  return {
+    ...extracted,
+    text,
+    pages: paged ? entries : [],
+    outline: extracted.outline.filter((entry) =>
+      sections.length ? keptHeadings.has(`${entry.page}|${entry.title}`) : keptPages.has(entry.page)
+    ),
+    tables: extracted.tables.filter((table) => keptPages.has(table.page)),
+    selection: {
+      ...selection,
+      ...(paged ? { pageCount: keptPages.size } : {}),
+      chars: text.length,
+      totalChars: extracted.text.length
+    }
+  };
+}
+
+async function countPdfPages(buffer, password) {
+  let doc;
+  try {
+    doc = await openPdfDocument(buffer, { password });
+  } catch (err) {
+    throw describePdfFailure(err);
+  }
+  const { numPages } = doc;
+  await doc.destroy().catch(() => {});
+  return numPages;
+}
+
+function describePdfFailure(err) {
+  if (err?.name === 'PasswordException') {
+    // pdf.js reports 1 when no password was given and 2 when it did not match.
+    return err.code === 2
+      ? documentError('pdf_password_incorrect', 'The password for this PDF is incorrect', 422)
+      : documentError('pdf_encrypted', 'This PDF is password-protected; send its password in the `password` field', 422);
+  }
+  return documentError(
+    'pdf_corrupt',
+    `This PDF could not be read (${err?.message || 'unknown error'}); the file appears to be damaged or incomplete`,
+    422
+  );
+}
+
+async function docxBufferToPlainText(buffer) {
+  // mammoth maps Word heading styles onto <h1>-<h6>, which htmlToPlainText keeps as headings.
+  let html;
+  try {
+    ({ value: html } = await mammoth.convertToHtml({ buffer }));
+  } catch (err) {
+    throw documentError(
+      'docx_invalid',
+      `This DOCX could not be read (${err?.message || 'unknown error'}); the file appears to be damaged or not a Word document`,
+      422
+    );
+  }
+  return htmlToPlainText(html);
+}
+
+export function htmlToPlainText(html) {
+  const output = [];
+  let title = null;
+  let inHead = false;
+  let hasH1 = false;
+  // While a heading is open, output[heading.start..] holds its text.
+  let heading = null;
+
+  scanHtml(String(html || ''), {
+    text(text) {
+      if (!inHead) output.push(text);
+    },
+    rawText(tag, content) {
+      if (tag === 'title' && title === null) title = content;
+    },
+    open(tag) {
+      if (tag === 'head') inHead = true;
+      if (tag === 'body') inHead = false;
+      if (inHead || heading) return;
+      const level = HEADING_TAGS.indexOf(tag) + 1;
+      if (level) {
+        hasH1 ||= level === 1;
+        heading = { tag, level, start: output.length };
+      } else if (tag === 'li') {
+        output.push('\n- ');
+      } else if (tag === 'br') {
+        output.push('\n');
+      } else if (HTML_BLOCK_TAGS.has(tag)) {
+        output.push('\n\n');
+      }
+    },
+    close(tag) {
+      if (tag === 'head') inHead = false;
+      if (inHead) return;
+      if (heading) {
+        if (tag === heading.tag) {
+          output.push(markdownHeading(heading.level, output.splice(heading.start).join('')));
+          heading = null;
+        }
+      } else if (HTML_BLOCK_TAGS.has(tag)) {
+        output.push('\n\n');
+      } else if (tag === 'td' || tag === 'th') {
+        output.push(' \t ');
+      }
+    }
+  }, HTML_RAW_TEXT_TAGS);
+
+  const text = output.join('');
+  return cleanText(decodeEntities(title !== null && !hasH1 ? `${markdownHeading(1, title)}${text}` : text));
+}
+
+function markdownHeading(level, text) {
+  const heading = text.replace(/\s+/g, ' ').trim();
+  return heading ? `\n\n${'#'.repeat(level)} ${heading}\n\n` : '\n\n';
+}
+
+function markdownToPlainText(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      output.push(line);
+      continue;
+    }
+
+    // Setext headings ("Title" underlined with === or ---) become ATX headings.
+    const next = lines[i + 1] ?? '';
+    if (line.trim() && /^\s*(=+|-+)\s*$/.test(next)) {
+      output.push(`${next.trim().startsWith('=') ? '#' : '##'} ${stripInlineMarkdown(line.trim())}`);
+      i += 1;
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      output.push('', `${heading[1]} ${stripInlineMarkdown(heading[2])}`, '');
+      continue;
+    }
+    if (/^\s*([-*_]\s*){3,}$/.test(line)) {
+      output.push('');
+      continue;
+    }
+
+    output.push(
+      stripInlineMarkdown(
+        line
+          .replace(/^\s*>\s?/, '')
+          .replace(/^(\s*)[*+]\s+/, '$1- ')
+      )
+    );
   }
 
-  const result = await pdfParse(buffer).catch(() => ({ text: '', numpages: 0 }));
-  const cleaned = (result?.text || '')
-    .replace(/\r\n/g, '\n')
+  return cleanText(decodeEntities(stripTags(output.join('\n'))));
+}
+
+function stripInlineMarkdown(text) {
+  return String(text || '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1');
+}
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^<>]+>/g, '');
+}
+
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function decodeText(buffer) {
+  // Drop a UTF-8 byte order mark so it does not end up in the first heading.
+  return buffer.toString('utf8').replace(/^\ufeff/, '');
+}
+
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, 4096);
+  if (sample.includes(0)) return false;
+  const decoded = sample.toString('utf8');
+  const replacements = (decoded.match(/\ufffd/g) || []).length;
+  return replacements <= Math.max(2, decoded.length * 0.01);
+}
+
+function cleanText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
     .replace(/\u00a0/g, ' ')
+    // The lookbehind starts each match at the beginning of a run, which keeps long runs linear.
+    .replace(/(?<![ \t])[ \t]+\n/g, '\n')
     .replace(/\n{3,}/g, '\n\n')
     .trim();
+}
 
-  const pageCount = Number.isFinite(result?.numpages) ? result.numpages : 0;
-  return { text: cleaned, pageCount };
+// A title matches headings that start with it at a word boundary, with or without their section number:
+// "Results" matches "3.2 Results and discussion", but "Chapter 3" does not match "Chapter 30".
+function headingMatches(key, wanted) {
+  const unnumbered = key.replace(/^(\p{N}+ )+/u, '');
+  return [key, unnumbered].some((heading) => heading === wanted || heading.startsWith(`${wanted} `));
+}
+
+function normalizeHeading(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+export function documentError(code, message, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function withEstimatedPages(text, format) {
+  return {
+    text,
+    pageCount: text ? Math.max(1, Math.ceil(text.length / CHARS_PER_PAGE)) : 0,
+    pages: [],
+    outline: outlineFromText(text),
+    tables: [],
+    format
+  };
+}
+
+function outlineFromText(text) {
+  return Array.from(String(text || '').matchAll(/^(#{1,6})[ \t]+(.+)$/gm), (match) => ({
+    title: match[2].trim(),
+    level: match[1].length,
+    page: null
+  }));
 }
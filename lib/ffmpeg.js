@@ -0,0 +1,32 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegPath from 'ffmpeg-static';
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+export { ffmpeg };
+
+// Runs a fluent-ffmpeg command writing to outputPath; aborting the signal kills the ffmpeg process.
+export function runFfmpeg(command, outputPath, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => command.kill('SIGKILL');
+    signal?.addEventListener('abort', onAbort, { once: true });
+    command
+      // The child process only exists once ffmpeg has started; catch aborts that raced the spawn.
+      .on('start', () => {
+        if (signal?.aborted) command.kill('SIGKILL');
+      })
+      .on('end', () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      })
+      .on('error', (err) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(signal?.aborted ? signal.reason : err);
+      })
+      .save(outputPath);
+  });
+}
@@ -0,0 +1,89 @@
+// A single forward pass over HTML markup. Comments, doctypes and raw-text elements are skipped by
+// searching for their end once, and markup that is never closed ends the scan, so unclosed tags on
+// broken or hostile pages cannot make it quadratic the way backtracking regular expressions do.
+
+const TAG_NAME = /<(\/?)([a-zA-Z][\w:-]*)/y;
+const SPACE = ' \t\n\r\f';
+const closingTags = new Map();
+
+// Calls handlers.text(text), handlers.open(tag, attributeSource) and handlers.close(tag) in
+// document order. Elements in rawTextTags are never opened: their content is passed to
+// handlers.rawText(tag, content) instead.
+export function scanHtml(html, handlers, rawTextTags = new Set()) {
+  let position = 0;
+  while (position < html.length) {
+    const start = html.indexOf('<', position);
+    if (start === -1) {
+      handlers.text(html.slice(position));
+      return;
+    }
+    if (start > position) handlers.text(html.slice(position, start));
+
+    if (html.startsWith('<!--', start)) {
+      const end = html.indexOf('-->', start + 4);
+      if (end === -1) return;
+      position = end + 3;
+      continue;
+    }
+
+    TAG_NAME.lastIndex = start;
+    const match = TAG_NAME.exec(html);
+    if (!match) {
+      // Doctypes, processing instructions and malformed closing tags are dropped; a lone "<" is text.
+      if (['!', '?', '/'].includes(html[start + 1])) {
+        const end = html.indexOf('>', start);
+        if (end === -1) return;
+        position = end + 1;
+      } else {
+        handlers.text('<');
+        position = start + 1;
+      }
+      continue;
+    }
+
+    const attributesStart = TAG_NAME.lastIndex;
+    const end = tagEnd(html, attributesStart);
+    if (end === -1) return;
+    const tag = match[2].toLowerCase();
+    position = end + 1;
+
+    if (match[1]) {
+      handlers.close(tag);
+    } else if (rawTextTags.has(tag)) {
+      const closing = closingTag(html, tag, position);
+      if (!closing) return;
+      handlers.rawText?.(tag, html.slice(position, closing.start));
+      position = closing.end;
+    } else {
+      handlers.open(tag, html.slice(attributesStart, end));
+    }
+  }
+}
+
+// Finds the ">" that ends a tag, stepping over quoted attribute values.
+function tagEnd(html, from) {
+  let afterEquals = false;
+  for (let index = from; index < html.length; index += 1) {
+    const char = html[index];
+    if (char === '>') return index;
+    if (afterEquals && (char === '"' || char === "'")) {
+      index = html.indexOf(char, index + 1);
+      if (index === -1) return -1;
+      afterEquals = false;
+    } else if (char === '=') {
+      afterEquals = true;
+    } else if (!SPACE.includes(char)) {
+      afterEquals = false;
+    }
+  }
+  return -1;
+}
+
+function closingTag(html, tag, from) {
+  if (!closingTags.has(tag)) closingTags.set(tag, new RegExp(`</${tag}(?=[\\s/>])`, 'gi'));
+  const pattern = closingTags.get(tag);
+  pattern.lastIndex = from;
+  const match = pattern.exec(html);
+  const end = match ? html.indexOf('>', match.index) : -1;
+  return end === -1 ? null : { start: match.index, end: end + 1 };
+}
@@ -1,9 +1,18 @@
 import sharp from 'sharp';
+import { resolveTheme } from './themes.js';
 
-export async function normalizeToCanvas(buffer, width, height) {
+export async function normalizeToCanvas(buffer, width, height, theme) {
+  const { background } = resolveTheme(theme).colors;
   return await sharp(buffer)
-    .resize({ width, height, fit: 'contain', background: '#204EA3' })
-    .flatten({ background: '#204EA3' })
+    .resize({ width, height, fit: 'contain', background })
+    .flatten({ background })
+    .png()
+    .toBuffer();
+}
+
+export async function createThumbnail(buffer, width = 360) {
+  return await sharp(buffer)
+    .resize({ width, withoutEnlargement: true })
     .png()
     .toBuffer();
 }
@@ -0,0 +1,144 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+
+export function createJobQueue(options = {}) {
+  const concurrency = normalizePositiveInt(
+    options.concurrency ?? process.env.JOB_CONCURRENCY,
+    DEFAULT_CONCURRENCY
+  );
+  const retentionMs = normalizePositiveInt(
+    options.retentionMs ?? process.env.JOB_RETENTION_MS,
+    DEFAULT_RETENTION_MS
+  );
+
+  const entries = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = 0;
+
+  function emit(job, event) {
+    events.emit(job.id, event);
+  }
+
+  function setState(job, state) {
+    job.state = state;
+    emit(job, { type: 'state', job });
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length) {
+      const id = pending.shift();
+      const entry = entries.get(id);
+      if (!entry) continue;
+      running += 1;
+      runEntry(entry).finally(() => {
+        running -= 1;
+        drain();
+      });
+    }
+  }
+
+  function finish(entry, state) {
+    const { job } = entry;
+    job.finishedAt = Date.now();
+    setState(job, state);
+    events.removeAllListeners(job.id);
+    // Drop the task closure so uploaded buffers can be garbage collected.
+    entry.task = null;
+    const timer = setTimeout(() => entries.delete(job.id), retentionMs);
+    timer.unref?.();
+  }
+
+  async function runEntry(entry) {
+    const { job, controller } = entry;
+    job.startedAt = Date.now();
+    setState(job, 'running');
+    let state;
+    try {
+      job.result = (await entry.task(job, controller.signal)) ?? null;
+      state = 'succeeded';
+    } catch (err) {
+      state = controller.signal.aborted ? 'cancelled' : 'failed';
+      job.error = controller.signal.aborted ? 'Job cancelled' : err?.message || String(err);
+      job.errorCode = controller.signal.aborted ? null : err?.code ?? null;
+    }
+    finish(entry, state);
+  }
+
+  return {
+    concurrency,
+
+    enqueue(task, meta = {}) {
+      if (typeof task !== 'function') {
+        throw new Error('Job task must be a function');
+      }
+      const job = {
+        id: randomUUID(),
+        state: 'queued',
+        meta,
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        cancelRequestedAt: null,
+        progress: [],
+        slides: [],
+        result: null,
+        error: null,
+        errorCode: null
+      };
+      entries.set(job.id, { job, task, controller: new AbortController() });
+      pending.push(job.id);
+      drain();
+      return job;
+    },
+
+    get(id) {
+      return entries.get(id)?.job ?? null;
+    },
+
+    cancel(id) {
+      const entry = entries.get(id);
+      if (!entry || !['queued', 'running'].includes(entry.job.state)) {
+        return null;
+      }
+      const { job } = entry;
+      job.cancelRequestedAt = Date.now();
+      entry.controller.abort();
+      if (job.state === 'queued') {
+        pending.splice(pending.indexOf(id), 1);
+        job.error = 'Job cancelled';
+        finish(entry, 'cancelled');
+      }
+      return job;
+    },
+
+    report(job, entry) {
+      job.progress.push(entry);
+      emit(job, { type: 'progress', entry, index: job.progress.length - 1 });
+      return entry;
+    },
+
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    queuePosition(id) {
+      const index = pending.indexOf(id);
+      return index === -1 ? null : index + 1;
+    },
+
+    stats() {
+      return { running, queued: pending.length, concurrency };
+    }
+  };
+}
+
+function normalizePositiveInt(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
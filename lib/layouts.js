@@ -0,0 +1,130 @@
+// Slide layout templates. `requires` lists the slide fields a template cannot render without
+// (`image` is the slide's figure or stock illustration); `uses` lists the optional ones it shows.
+// `media` says where an image or chart goes: in the illustration frame, behind the text, or nowhere.
+const LAYOUTS = {
+  standard: {
+    name: 'standard',
+    label: 'Standard',
+    description: 'Headline and talking points beside (16:9, 1:1) or above (9:16, 4:5) the illustration frame',
+    requires: [],
+    uses: ['headline', 'paragraph', 'chart', 'image'],
+    media: 'frame'
+  },
+  'title-card': {
+    name: 'title-card',
+    label: 'Title card',
+    description: 'Large centred headline with the paragraph as a subtitle, for openers and section breaks',
+    requires: ['headline'],
+    uses: ['paragraph'],
+    media: 'none'
+  },
+  stat: {
+    name: 'stat',
+    label: 'Big number',
+    description: 'One headline figure in display type with a short label',
+    requires: ['stat'],
+    uses: ['headline', 'paragraph'],
+    media: 'none'
+  },
+  quote: {
+    name: 'quote',
+    label: 'Quote',
+    description: 'A quotation from the document with its attribution',
+    requires: ['quote'],
+    uses: ['headline'],
+    media: 'none'
+  },
+  comparison: {
+    name: 'comparison',
+    label: 'Comparison',
+    description: 'Two columns of points side by side (stacked in 9:16 and 4:5)',
+    requires: ['columns'],
+    uses: ['headline'],
+    media: 'none'
+  },
+  'full-bleed': {
+    name: 'full-bleed',
+    label: 'Full-bleed image',
+    description: 'The illustration fills the slide with the headline and first sentence as a caption',
+    requires: ['headline', 'image'],
+    uses: ['paragraph'],
+    media: 'backdrop'
+  },
+  timeline: {
+    name: 'timeline',
+    label: 'Timeline',
+    description: 'Dated milestones along a line',
+    requires: ['timeline'],
+    uses: ['headline'],
+    media: 'none'
+  },
+  'chart-focus': {
+    name: 'chart-focus',
+    label: 'Chart focus',
+    description: 'The chart fills the slide under the headline',
+    requires: ['chart'],
+    uses: ['headline'],
+    media: 'frame'
+  }
+};
+
+// Checked in order when the planner's choice cannot be used.
+const CONTENT_LAYOUTS = ['stat', 'quote', 'comparison', 'timeline'];
+
+const FIELD_CHECKS = {
+  headline: (slide) => hasText(slide.headline),
+  paragraph: (slide) => hasText(slide.paragraph),
+  chart: (slide) => Boolean(slide.chart),
+  image: (slide, { hasImage }) => hasImage,
+  stat: (slide) => hasText(slide.stat?.value),
+  quote: (slide) => hasText(slide.quote?.text),
+  columns: (slide) =>
+    Array.isArray(slide.columns) &&
+    slide.columns.length === 2 &&
+    slide.columns.every((column) => Array.isArray(column?.points) && column.points.some(hasText)),
+  timeline: (slide) =>
+    Array.isArray(slide.timeline) && slide.timeline.filter((entry) => hasText(entry?.label)).length >= 2
+};
+
+export const LAYOUT_NAMES = Object.keys(LAYOUTS);
+export const DEFAULT_LAYOUT = 'standard';
+
+export function isLayoutName(value) {
+  return typeof value === 'string' && Object.hasOwn(LAYOUTS, value);
+}
+
+export function layoutMedia(name) {
+  return LAYOUTS[isLayoutName(name) ? name : DEFAULT_LAYOUT].media;
+}
+
+export function missingLayoutFields(name, slide, { hasImage = false } = {}) {
+  const layout = LAYOUTS[name];
+  if (!layout) return [];
+  return layout.requires.filter((field) => !FIELD_CHECKS[field](slide || {}, { hasImage }));
+}
+
+// The requested template when the slide has every field it requires, otherwise the standard one.
+export function resolveLayout(name, slide, { hasImage = false } = {}) {
+  if (!isLayoutName(name)) return DEFAULT_LAYOUT;
+  return missingLayoutFields(name, slide, { hasImage }).length ? DEFAULT_LAYOUT : name;
+}
+
+// For planned slides: the planner's choice if the slide can fill it, else the first template its
+// content fits. Images are only picked at render time, so full-bleed is taken on trust here.
+export function suggestLayout(slide) {
+  if (isLayoutName(slide?.layout) && !missingLayoutFields(slide.layout, slide, { hasImage: true }).length) {
+    return slide.layout;
+  }
+  return CONTENT_LAYOUTS.find((name) => !missingLayoutFields(name, slide).length) ?? DEFAULT_LAYOUT;
+}
+
+export function listLayouts() {
+  return LAYOUT_NAMES.map((name) => {
+    const { label, description, requires, uses, media } = LAYOUTS[name];
+    return { name, label, description, requires, uses, media };
+  });
+}
+
+function hasText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
@@ -1,11 +1,8 @@
 import fs from 'fs/promises';
 import path from 'path';
-import ffmpeg from 'fluent-ffmpeg';
-import ffmpegPath from 'ffmpeg-static';
+import { ffmpeg, runFfmpeg } from './ffmpeg.js';
 
-ffmpeg.setFfmpegPath(ffmpegPath);
-
-export async function renderLocalVideo({ slides, voiceoverPath, outputPath, fps }) {
+export async function renderLocalVideo({ slides, voiceoverPath, outputPath, width, height, fps, signal }) {
   if (!slides.length) {
     throw new Error('No slides provided for local render');
   }
@@ -22,18 +19,23 @@ export async function renderLocalVideo({ slides, voiceoverPath, outputPath, fps
   lines.push(`file '${lastPath}'`);
   await fs.writeFile(concatPath, lines.join('\n'), 'utf8');
 
-  await new Promise((resolve, reject) => {
+  await runFfmpeg(
     ffmpeg()
       .input(concatPath)
       .inputOptions(['-f concat', '-safe 0'])
       .input(voiceoverPath)
       .videoCodec('libx264')
+      // Pins the frame to the requested format; libx264 needs even dimensions and square pixels.
+      .videoFilters(width && height ? [`scale=${evenSize(width)}:${evenSize(height)}`, 'setsar=1'] : ['setsar=1'])
       .audioCodec('aac')
-      .outputOptions(['-pix_fmt yuv420p', `-r ${fps}`, '-shortest', '-movflags +faststart'])
-      .on('end', resolve)
-      .on('error', reject)
-      .save(outputPath);
-  });
+      .outputOptions(['-pix_fmt yuv420p', `-r ${fps}`, '-shortest', '-movflags +faststart']),
+    outputPath,
+    signal
+  );
 
   return outputPath;
 }
+
+function evenSize(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
@@ -1,5 +1,6 @@
 import { Agent, ProxyAgent } from 'undici';
 import dns from 'node:dns';
+import { delay, withTimeout } from './abort-utils.js';
 
 const DEFAULT_LONGCAT_KEY = 'ak_1Co58b18G06O1Av6hD1X43Gw00k5J';
 const DEFAULT_KEY_POOL = [DEFAULT_LONGCAT_KEY];
@@ -64,11 +65,12 @@ export function createLongcatClient(options = {}) {
   const dispatcher = resolveDispatcher(options);
   const proxyConfigured = Boolean(resolveProxy(options.proxy));
 
-  async function post(path, payload) {
+  async function post(path, payload, signal) {
     const url = `${baseURL}${path}`;
     let lastError = null;
 
     while (true) {
+      signal?.throwIfAborted();
       const apiKey = keyManager.current();
       if (!apiKey) {
         throw new Error(
@@ -92,10 +94,11 @@ export function createLongcatClient(options = {}) {
               Authorization: `Bearer ${apiKey}`
             },
             body: JSON.stringify(payload),
-            signal: AbortSignal.timeout(timeout),
+            signal: withTimeout(signal, timeout),
             dispatcher
           });
         } catch (err) {
+          signal?.throwIfAborted();
           const error = toError(err);
           lastError = error;
 
@@ -106,7 +109,7 @@ export function createLongcatClient(options = {}) {
             throw new Error(`${prefix}: ${formatFetchError(error)}`, { cause: error });
           }
 
-          await delay(backoffMs(attempt));
+          await delay(backoffMs(attempt), signal);
           continue;
         }
 
@@ -135,19 +138,20 @@ export function createLongcatClient(options = {}) {
           }
 
           lastError = error;
-          await delay(backoffMs(attempt));
+          await delay(backoffMs(attempt), signal);
           continue;
         }
 
         try {
           return await response.json();
         } catch (err) {
+          signal?.throwIfAborted();
           const error = toError(err);
           lastError = error;
           if (attempt === MAX_ATTEMPTS) {
             throw new Error('Longcat returned an unreadable response body', { cause: error });
           }
-          await delay(backoffMs(attempt));
+          await delay(backoffMs(attempt), signal);
         }
       }
 
@@ -158,7 +162,7 @@ export function createLongcatClient(options = {}) {
   }
 
   return {
-    async jsonCompletion({ system, user, schema, temperature = 0.3, maxTokens = 1800 }) {
+    async jsonCompletion({ system, user, schema, temperature = 0.3, maxTokens = 1800, signal }) {
       const messages = [];
       if (system) {
         messages.push({ role: 'system', content: system });
@@ -184,7 +188,7 @@ export function createLongcatClient(options = {}) {
         };
       }
 
-      const data = await post(OPENAI_STYLE_PATH, payload);
+      const data = await post(OPENAI_STYLE_PATH, payload, signal);
       const content = data?.choices?.[0]?.message?.content;
       if (!content) {
         throw new Error('Longcat returned no content');
@@ -251,10 +255,6 @@ function backoffMs(attempt) {
   return 300 * attempt;
 }
 
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
 function formatFetchError(error) {
   const parts = [];
   if (error?.message) parts.push(error.message);
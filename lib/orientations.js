@@ -0,0 +1,28 @@
+// Output aspect ratios. The pixel size of each is configured in server.js; slides rendered without an
+// explicit orientation get the one closest to their canvas.
+const ORIENTATIONS = {
+  '9:16': { name: '9:16', label: 'Vertical', ratio: 9 / 16 },
+  '16:9': { name: '16:9', label: 'Horizontal', ratio: 16 / 9 },
+  '1:1': { name: '1:1', label: 'Square', ratio: 1 },
+  '4:5': { name: '4:5', label: 'Portrait', ratio: 4 / 5 }
+};
+
+export const ORIENTATION_NAMES = Object.keys(ORIENTATIONS);
+export const FALLBACK_ORIENTATION = '9:16';
+
+export function isOrientation(value) {
+  return typeof value === 'string' && Object.hasOwn(ORIENTATIONS, value);
+}
+
+export function normalizeOrientation(value) {
+  return isOrientation(value) ? value : FALLBACK_ORIENTATION;
+}
+
+export function orientationForSize(width, height) {
+  const ratio = width / height;
+  return ORIENTATION_NAMES.reduce((best, name) =>
+    Math.abs(Math.log(ORIENTATIONS[name].ratio / ratio)) < Math.abs(Math.log(ORIENTATIONS[best].ratio / ratio))
+      ? name
+      : best
+  );
+}
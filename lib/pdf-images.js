@@ -0,0 +1,162 @@
+import { createHash } from 'crypto';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+
+const require = createRequire(import.meta.url);
+// Same pdf.js build pdf-parse bundles; loaded directly so embedded images are decoded without a canvas.
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+PDFJS.disableWorker = true;
+
+// pdf.js image data layouts (ImageKind in pdf.js, which this build does not export).
+const GRAYSCALE_1BPP = 1;
+const RGBA_32BPP = 3;
+
+const FIGURE_MIN_SIDE = 160;
+const FIGURE_MIN_AREA = 60000;
+const FIGURE_MAX_ASPECT = 4;
+const FIGURE_MAX_SIDE = 1600;
+const FIGURE_MIN_STDEV = 8;
+
+export async function openPdfDocument(buffer, { password } = {}) {
+  return PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none', password });
+}
+
+// Decoded raster images painted on a page, largest first.
+export async function listPageImages(page) {
+  const operators = await page.getOperatorList();
+  const images = [];
+  const seen = new Set();
+  operators.fnArray.forEach((fn, index) => {
+    let image = null;
+    if (fn === PDFJS.OPS.paintImageXObject) {
+      image = resolvePageObject(page, operators.argsArray[index][0]);
+    } else if (fn === PDFJS.OPS.paintInlineImageXObject) {
+      image = operators.argsArray[index][0];
+    }
+    if (!image?.data || !image.width || !image.height || seen.has(image)) return;
+    seen.add(image);
+    images.push(image);
+  });
+  return images.sort((a, b) => b.width * b.height - a.width * a.height);
+}
+
+// Every image painted on the page with the transformation matrix in effect, in painting order.
+// The matrix maps the image's unit square onto the page (PDF units, y up).
+export async function listPageImagePlacements(page) {
+  const operators = await page.getOperatorList();
+  const placements = [];
+  const saved = [];
+  let matrix = [1, 0, 0, 1, 0, 0];
+  operators.fnArray.forEach((fn, index) => {
+    const args = operators.argsArray[index];
+    if (fn === PDFJS.OPS.save) {
+      saved.push(matrix);
+    } else if (fn === PDFJS.OPS.restore) {
+      matrix = saved.pop() ?? matrix;
+    } else if (fn === PDFJS.OPS.transform) {
+      matrix = multiplyMatrix(args, matrix);
+    } else if (fn === PDFJS.OPS.paintFormXObjectBegin) {
+      saved.push(matrix);
+      if (args[0]) matrix = multiplyMatrix(args[0], matrix);
+    } else if (fn === PDFJS.OPS.paintFormXObjectEnd) {
+      matrix = saved.pop() ?? matrix;
+    } else if (fn === PDFJS.OPS.paintImageXObject || fn === PDFJS.OPS.paintInlineImageXObject) {
+      const image = fn === PDFJS.OPS.paintImageXObject ? resolvePageObject(page, args[0]) : args[0];
+      if (image?.data && image.width && image.height) placements.push({ image, matrix });
+    }
+  });
+  return placements;
+}
+
+function multiplyMatrix([a, b, c, d, e, f], [ma, mb, mc, md, me, mf]) {
+  return [
+    a * ma + b * mc,
+    a * mb + b * md,
+    c * ma + d * mc,
+    c * mb + d * md,
+    e * ma + f * mc + me,
+    e * mb + f * md + mf
+  ];
+}
+
+export function pdfImageToSharp({ width, height, kind, data }) {
+  if (kind === GRAYSCALE_1BPP) {
+    // 1-bit images are packed eight pixels per byte, each row padded to a whole byte.
+    const rowBytes = (width + 7) >> 3;
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        pixels[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 1 } });
+  }
+  const channels = kind === RGBA_32BPP ? 4 : 3;
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels } });
+}
+
+// Photos and figures embedded on the given pages, as PNGs on a white background. Logos and
+// decorations are skipped: tiny or banner-shaped images, flat fills, and images repeated across pages.
+export async function extractPdfFigures(buffer, { pages = [], skipPages = [], maxPerPage = 2, password, signal } = {}) {
+  const wanted = Array.from(new Set(pages)).filter((page) => Number.isInteger(page) && !skipPages.includes(page));
+  if (!wanted.length) return [];
+
+  const doc = await openPdfDocument(buffer, { password });
+  const candidates = [];
+  const pagesByImage = new Map();
+  // Neighbouring pages are scanned too, so running logos show up as repeated.
+  const scanned = Array.from(new Set(wanted.flatMap((page) => [page - 1, page, page + 1])))
+    .filter((page) => page >= 1 && page <= doc.numPages)
+    .sort((a, b) => a - b);
+  try {
+    for (const pageNumber of scanned) {
+      signal?.throwIfAborted();
+      const images = await listPageImages(await doc.getPage(pageNumber));
+      images.forEach((image) => {
+        const digest = createHash('sha1').update(image.data).digest('hex');
+        pagesByImage.set(digest, (pagesByImage.get(digest) || new Set()).add(pageNumber));
+        if (wanted.includes(pageNumber) && isFigureShaped(image)) {
+          candidates.push({ page: pageNumber, image, digest });
+        }
+      });
+    }
+  } finally {
+    await doc.destroy().catch(() => {});
+  }
+
+  const figures = [];
+  const perPage = new Map();
+  for (const { page, image, digest } of candidates) {
+    if (pagesByImage.get(digest).size > 1 || (perPage.get(page) || 0) >= maxPerPage) continue;
+    const { channels } = await pdfImageToSharp(image).stats();
+    if (channels.every((channel) => channel.stdev < FIGURE_MIN_STDEV)) continue;
+
+    const png = await pdfImageToSharp(image)
+      .resize({ width: FIGURE_MAX_SIDE, height: FIGURE_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .png()
+      .toBuffer();
+    const index = (perPage.get(page) || 0) + 1;
+    perPage.set(page, index);
+    figures.push({ page, index, width: image.width, height: image.height, buffer: png });
+  }
+  return figures;
+}
+
+function isFigureShaped({ width, height }) {
+  const aspect = Math.max(width, height) / Math.min(width, height);
+  return Math.min(width, height) >= FIGURE_MIN_SIDE && width * height >= FIGURE_MIN_AREA && aspect <= FIGURE_MAX_ASPECT;
+}
+
+function resolvePageObject(page, name) {
+  try {
+    return page.objs.get(name);
+  } catch {
+    try {
+      return page.commonObjs.get(name);
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,408 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+// Import internal build of pdf-parse to avoid ESM issues during runtime.
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const HEADING_SIZE_RATIO = 1.2;
+const MAX_HEADING_CHARS = 120;
+const MAX_HEADING_LEVELS = 3;
+const MARGIN_LINES = 2;
+const REPEATED_MARGIN_RATIO = 0.5;
+const MIN_TABLE_ROWS = 3;
+const NUMERIC_CELL_RATIO = 0.6;
+const NUMERIC_CELL_PATTERN = /^[-+−(]?\s*[$€£¥]?\s*\d[\d,]*(?:\.\d+)?\s*(?:%|[kmb]|bn|mn)?\)?$/i;
+const YEAR_PATTERN = /^(?:19|20)\d{2}$/;
+const PAGE_NUMBER_PATTERN = /^(?:page\s+)?(?:\d{1,4}|[ivxlcdm]{1,6})(?:\s*(?:of|\/)\s*\d{1,4})?$|^[-–—]\s*\d{1,4}\s*[-–—]$/i;
+
+/**
+ * Extracts PDF text page by page, keeping the structure pdf-parse flattens away:
+ * font-size headings, two-column reading order and repeated headers/footers.
+ * Returns `{ text, pageCount, pages: [{ page, text }], outline: [{ title, level, page }], tables, layout }`.
+ * Tables are `{ page, title, columns, rows }` with every cell kept as the string printed in the PDF.
+ */
+export async function extractPdfLayout(buffer, { password } = {}) {
+  const rawPages = [];
+  const result = await pdfParse({ data: buffer, password }, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true });
+      const [x0, y0, x1, y1] = pageData.view;
+      rawPages[pageData.pageIndex] = {
+        width: x1 - x0,
+        height: y1 - y0,
+        lines: groupLines(content.items)
+      };
+      return '';
+    }
+  });
+
+  const pageCount = result.numpages || rawPages.length;
+  const pages = Array.from({ length: pageCount }, (_, index) => ({
+    page: index + 1,
+    width: rawPages[index]?.width || 0,
+    lines: rawPages[index]?.lines || []
+  }));
+
+  const removedMarginLines = removeRepeatedMargins(pages);
+  const bodySize = dominantFontSize(pages);
+  const headingLevels = assignHeadingLevels(pages, bodySize);
+
+  const outline = [];
+  const tables = [];
+  let twoColumnPages = 0;
+  const pageTexts = pages.map(({ page, width, lines }) => {
+    // Tables are pulled out before column detection, which would otherwise read them as text columns.
+    const { tables: pageTables, lines: flowLines } = extractTables(lines);
+    pageTables.forEach(({ title, columns, rows }) => tables.push({ page, title, columns, rows }));
+    const { ordered, twoColumn } = orderLines(flowLines, width);
+    if (twoColumn) twoColumnPages += 1;
+    const blocks = buildBlocks(ordered, headingLevels);
+    blocks
+      .filter((block) => block.level)
+      .forEach((block) => outline.push({ title: block.text, level: block.level, page }));
+    return {
+      page,
+      text: blocks
+        .map((block) => (block.level ? `${'#'.repeat(block.level)} ${block.text}` : block.text))
+        .join('\n\n')
+    };
+  });
+
+  return {
+    text: pageTexts
+      .map((entry) => entry.text)
+      .filter(Boolean)
+      .join('\n\n'),
+    pageCount,
+    pages: pageTexts,
+    outline,
+    tables,
+    layout: { bodyFontSize: bodySize, removedMarginLines, twoColumnPages, tables: tables.length }
+  };
+}
+
+function groupLines(items) {
+  const fragments = items
+    .filter((item) => typeof item.str === 'string' && item.str.trim())
+    .map((item) => {
+      const [a, b, c, d, x, y] = item.transform;
+      const size = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10;
+      const width = item.width || item.str.length * size * 0.5;
+      return { text: item.str, x, y, size, width };
+    })
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const rows = [];
+  for (const fragment of fragments) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - fragment.y) <= Math.min(row.size, fragment.size) * 0.4) {
+      row.fragments.push(fragment);
+      row.size = Math.max(row.size, fragment.size);
+    } else {
+      rows.push({ y: fragment.y, size: fragment.size, fragments: [fragment] });
+    }
+  }
+
+  // Fragments on one baseline separated by a wide gap belong to different columns.
+  const lines = [];
+  for (const row of rows) {
+    const sorted = row.fragments.sort((a, b) => a.x - b.x);
+    let current = null;
+    for (const fragment of sorted) {
+      const gap = current ? fragment.x - current.x1 : 0;
+      if (!current || gap > Math.max(fragment.size, current.size) * 1.5) {
+        current = { text: '', x0: fragment.x, x1: fragment.x, y: row.y, size: 0, chars: 0 };
+        lines.push(current);
+      }
+      const needsSpace =
+        current.text && gap > fragment.size * 0.15 && !/\s$/.test(current.text) && !/^\s/.test(fragment.text);
+      current.text += `${needsSpace ? ' ' : ''}${fragment.text}`;
+      current.x1 = Math.max(current.x1, fragment.x + fragment.width);
+      current.size = Math.max(current.size, fragment.size);
+      current.chars += fragment.text.length;
+    }
+  }
+
+  return lines
+    .map((line) => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter((line) => line.text);
+}
+
+function marginKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+function marginCandidates(lines) {
+  const byPosition = [...lines].sort((a, b) => b.y - a.y);
+  const top = byPosition.slice(0, MARGIN_LINES);
+  const bottom = byPosition.slice(-MARGIN_LINES);
+  return new Set([...top, ...bottom]);
+}
+
+function removeRepeatedMargins(pages) {
+  const pageHits = new Map();
+  pages.forEach(({ lines }) => {
+    const keys = new Set(Array.from(marginCandidates(lines), (line) => marginKey(line.text)));
+    keys.forEach((key) => pageHits.set(key, (pageHits.get(key) || 0) + 1));
+  });
+
+  // Two-page documents are too short to tell a running header from a repeated heading.
+  const minPages = pages.length >= 3 ? Math.max(2, Math.ceil(pages.length * REPEATED_MARGIN_RATIO)) : Infinity;
+  let removed = 0;
+  pages.forEach((entry) => {
+    const candidates = marginCandidates(entry.lines);
+    entry.lines = entry.lines.filter((line) => {
+      if (!candidates.has(line) || !isMarginNoise(line.text, pageHits.get(marginKey(line.text)), minPages)) {
+        return true;
+      }
+      removed += 1;
+      return false;
+    });
+  });
+  return removed;
+}
+
+function isMarginNoise(text, hits, minPages) {
+  return PAGE_NUMBER_PATTERN.test(text.trim()) || hits >= minPages;
+}
+
+function roundSize(size) {
+  return Math.round(size * 2) / 2;
+}
+
+function dominantFontSize(pages) {
+  const weights = new Map();
+  pages.forEach(({ lines }) => {
+    lines.forEach((line) => {
+      const size = roundSize(line.size);
+      weights.set(size, (weights.get(size) || 0) + line.chars);
+    });
+  });
+  let best = 0;
+  let bestWeight = -1;
+  weights.forEach((weight, size) => {
+    if (weight > bestWeight) {
+      best = size;
+      bestWeight = weight;
+    }
+  });
+  return best;
+}
+
+function isHeadingLine(line, bodySize) {
+  if (!bodySize || line.size < bodySize * HEADING_SIZE_RATIO) return false;
+  if (line.text.length > MAX_HEADING_CHARS || !/[a-z]/i.test(line.text)) return false;
+  return line.text.split(/\s+/).length <= 16;
+}
+
+function assignHeadingLevels(pages, bodySize) {
+  const sizes = new Set();
+  pages.forEach(({ lines }) => {
+    lines.filter((line) => isHeadingLine(line, bodySize)).forEach((line) => sizes.add(roundSize(line.size)));
+  });
+  const levels = new Map();
+  Array.from(sizes)
+    .sort((a, b) => b - a)
+    .forEach((size, index) => levels.set(size, Math.min(index + 1, MAX_HEADING_LEVELS)));
+  return { bodySize, levels };
+}
+
+function isNumericCell(text) {
+  return NUMERIC_CELL_PATTERN.test(text.trim());
+}
+
+// Rows of two or more cells that line up column by column and hold mostly numbers form a table.
+function extractTables(lines) {
+  const rows = [];
+  [...lines]
+    .sort((a, b) => b.y - a.y || a.x0 - b.x0)
+    .forEach((line) => {
+      const row = rows[rows.length - 1];
+      if (row && Math.abs(row.y - line.y) <= Math.min(row.size, line.size) * 0.4) {
+        row.cells.push(line);
+        row.size = Math.max(row.size, line.size);
+      } else {
+        rows.push({ y: line.y, size: line.size, cells: [line] });
+      }
+    });
+  rows.forEach((row) => row.cells.sort((a, b) => a.x0 - b.x0));
+
+  const tables = [];
+  const used = new Set();
+  let run = [];
+  let runStart = 0;
+  const flush = () => {
+    const table = buildTable(run, rows[runStart - 1]);
+    if (table) {
+      tables.push(table);
+      run.forEach((row) => row.cells.forEach((cell) => used.add(cell)));
+    }
+    run = [];
+  };
+  rows.forEach((row, index) => {
+    const previous = run[run.length - 1];
+    if (
+      previous &&
+      row.cells.length === previous.cells.length &&
+      previous.y - row.y <= Math.max(previous.size, row.size) * 2.5 &&
+      columnsAlign(previous.cells, row.cells)
+    ) {
+      run.push(row);
+      return;
+    }
+    flush();
+    if (row.cells.length >= 2) {
+      run = [row];
+      runStart = index;
+    }
+  });
+  flush();
+
+  if (!tables.length) {
+    return { tables, lines };
+  }
+  const flowLines = lines.filter((line) => !used.has(line));
+  tables.forEach((table) => {
+    flowLines.push({
+      text: [table.columns, ...table.rows].map((cells) => cells.join(' | ')).join('\n'),
+      x0: table.x0,
+      x1: table.x1,
+      y: table.y,
+      size: table.size,
+      chars: 0,
+      table: true
+    });
+  });
+  return {
+    tables: tables.map(({ title, columns, rows: tableRows }) => ({ title, columns, rows: tableRows })),
+    lines: flowLines
+  };
+}
+
+function columnsAlign(upper, lower) {
+  return upper.every((cell, index) => {
+    const other = lower[index];
+    const overlap = Math.min(cell.x1, other.x1) - Math.max(cell.x0, other.x0);
+    return overlap >= -Math.max(cell.size, other.size);
+  });
+}
+
+function buildTable(run, rowAbove) {
+  if (run.length < MIN_TABLE_ROWS) return null;
+
+  const texts = run.map((row) => row.cells.map((cell) => cell.text));
+  // A first row of labels (or of years over columns of values) is the header.
+  const firstValues = texts[0].slice(1);
+  const hasHeader =
+    firstValues.some((text) => !isNumericCell(text)) || firstValues.every((text) => YEAR_PATTERN.test(text.trim()));
+  const body = hasHeader ? texts.slice(1) : texts;
+  const valueCells = body.flatMap((cells) => cells.slice(1));
+  const numericCells = valueCells.filter(isNumericCell).length;
+  if (body.length < 2 || !valueCells.length || numericCells / valueCells.length < NUMERIC_CELL_RATIO) {
+    return null;
+  }
+
+  const cells = run.flatMap((row) => row.cells);
+  const top = run[0];
+  const title =
+    rowAbove &&
+    rowAbove.cells.length === 1 &&
+    rowAbove.y - top.y <= Math.max(rowAbove.size, top.size) * 3 &&
+    rowAbove.cells[0].text.length <= MAX_HEADING_CHARS
+      ? rowAbove.cells[0].text
+      : null;
+
+  return {
+    title,
+    columns: hasHeader ? texts[0] : texts[0].map((_, index) => `Column ${index + 1}`),
+    rows: body,
+    x0: Math.min(...cells.map((cell) => cell.x0)),
+    x1: Math.max(...cells.map((cell) => cell.x1)),
+    y: top.y,
+    size: Math.max(...run.map((row) => row.size))
+  };
+}
+
+function orderLines(lines, width) {
+  const sorted = [...lines].sort((a, b) => b.y - a.y || a.x0 - b.x0);
+  if (!width || sorted.length < 6) {
+    return { ordered: sorted, twoColumn: false };
+  }
+
+  const mid = width / 2;
+  const tolerance = width * 0.02;
+  const inLeft = (line) => line.x1 <= mid + tolerance;
+  const inRight = (line) => line.x0 >= mid - tolerance;
+  const leftCount = sorted.filter((line) => inLeft(line) && !inRight(line)).length;
+  const rightCount = sorted.filter((line) => inRight(line) && !inLeft(line)).length;
+  if (leftCount < 3 || rightCount < 3 || rightCount < sorted.length * 0.2) {
+    return { ordered: sorted, twoColumn: false };
+  }
+
+  // Lines that cross the gutter (titles, full-width figures) split the page into bands;
+  // inside each band the left column is read before the right one.
+  const ordered = [];
+  let band = [];
+  const flush = () => {
+    const left = band.filter((line) => !inRight(line) || inLeft(line));
+    const right = band.filter((line) => inRight(line) && !inLeft(line));
+    // A left-aligned block that starts, after a clear gap, below the end of the right column
+    // (e.g. a heading that follows the columns) is read after the right column.
+    const rightBottom = right.length ? Math.min(...right.map((line) => line.y)) : -Infinity;
+    let split = left.length;
+    for (let i = 1; i < left.length; i += 1) {
+      const gap = left[i - 1].y - left[i].y;
+      if (left[i].y < rightBottom && gap > Math.max(left[i - 1].size, left[i].size) * 1.8) {
+        split = i;
+        break;
+      }
+    }
+    ordered.push(...left.slice(0, split), ...right, ...left.slice(split));
+    band = [];
+  };
+  sorted.forEach((line) => {
+    if (!inLeft(line) && !inRight(line)) {
+      flush();
+      ordered.push(line);
+    } else {
+      band.push(line);
+    }
+  });
+  flush();
+  return { ordered, twoColumn: true };
+}
+
+function buildBlocks(lines, { bodySize, levels }) {
+  const blocks = [];
+  let current = null;
+  let previous = null;
+
+  lines.forEach((line) => {
+    if (line.table) {
+      blocks.push({ level: 0, text: line.text });
+      current = null;
+      previous = line;
+      return;
+    }
+    const level = isHeadingLine(line, bodySize) ? levels.get(roundSize(line.size)) : 0;
+    const gap = previous ? previous.y - line.y : 0;
+    const continues =
+      current &&
+      current.level === level &&
+      gap > 0 &&
+      gap <= Math.max(previous.size, line.size) * (level ? 1.6 : 1.8);
+
+    if (continues) {
+      // Re-join words hyphenated across a line break.
+      current.text = /[a-z]-$/.test(current.text) && /^[a-z]/.test(line.text)
+        ? `${current.text.slice(0, -1)}${line.text}`
+        : `${current.text} ${line.text}`;
+    } else {
+      current = { level, text: line.text };
+      blocks.push(current);
+    }
+    previous = line;
+  });
+
+  return blocks;
+}
@@ -0,0 +1,213 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import sharp from 'sharp';
+import { createWorker } from 'tesseract.js';
+import { listPageImagePlacements, openPdfDocument, pdfImageToSharp } from './pdf-images.js';
+
+const require = createRequire(import.meta.url);
+
+const DEFAULT_MIN_CHARS_PER_PAGE = 40;
+const DEFAULT_MIN_CONFIDENCE = 40;
+const DEFAULT_MAX_PAGES = 50;
+const MIN_SCAN_PIXELS = 400;
+const MAX_SCAN_DPI = 600;
+const MAX_SCAN_AREA = 40_000_000;
+
+export function createPdfOcr(options = {}) {
+  const enabled = options.enabled ?? process.env.OCR_DISABLED !== 'true';
+  const languages = String(options.languages || process.env.OCR_LANGUAGES || 'eng')
+    .split(/[+,\s]+/)
+    .filter(Boolean);
+  const langPath = path.resolve(options.langPath || process.env.OCR_LANG_PATH || bundledLangPath());
+  const minCharsPerPage = normalizePositiveInt(
+    options.minCharsPerPage ?? process.env.OCR_MIN_CHARS_PER_PAGE,
+    DEFAULT_MIN_CHARS_PER_PAGE
+  );
+  const minConfidence = normalizePositiveInt(
+    options.minConfidence ?? process.env.OCR_MIN_CONFIDENCE,
+    DEFAULT_MIN_CONFIDENCE
+  );
+  const maxPages = normalizePositiveInt(options.maxPages ?? process.env.OCR_MAX_PAGES, DEFAULT_MAX_PAGES);
+
+  // Pages whose text layer is (nearly) empty are assumed to be scans.
+  function scannedPages(extracted) {
+    if (!enabled || !extracted?.pageCount) return [];
+    // pdf-parse's flat-text fallback has no per-page text, so only a (nearly) empty document counts as a scan.
+    if (!extracted.pages?.length) {
+      const chars = stripHeadingMarks(extracted.text || '').length;
+      return chars < minCharsPerPage * extracted.pageCount
+        ? Array.from({ length: extracted.pageCount }, (_, index) => index + 1)
+        : [];
+    }
+    const pageTexts = new Map((extracted.pages || []).map((entry) => [entry.page, entry.text || '']));
+    return Array.from({ length: extracted.pageCount }, (_, index) => index + 1).filter(
+      (page) => stripHeadingMarks(pageTexts.get(page) || '').length < minCharsPerPage
+    );
+  }
+
+  // `pages` limits recognition to the pages that will actually be used.
+  async function recognize(buffer, extracted, { pages: wantedPages, password, signal, onPage } = {}) {
+    const candidates = scannedPages(extracted).filter((page) => !wantedPages || wantedPages.includes(page));
+    if (!candidates.length) return extracted;
+
+    const selected = candidates.slice(0, maxPages);
+    const doc = await openPdfDocument(buffer, { password });
+    let worker = null;
+    const results = [];
+    try {
+      for (const pageNumber of selected) {
+        signal?.throwIfAborted();
+        const page = await doc.getPage(pageNumber);
+        const scan = await composePageScan(page);
+        if (!scan) {
+          results.push({ page: pageNumber, text: '', confidence: null, skipped: 'no image' });
+          onPage?.(results[results.length - 1]);
+          continue;
+        }
+
+        // The worker loads the language data, so it is only started once a scan is found.
+        if (!worker) {
+          worker = await createWorker(languages, 1, {
+            langPath,
+            gzip: fs.existsSync(path.join(langPath, `${languages[0]}.traineddata.gz`)),
+            cacheMethod: 'none'
+          });
+        }
+        // Tesseract sizes its text models by resolution, so tell it how densely the page was scanned.
+        const png = await sharp(scan.png).grayscale().withMetadata({ density: scan.density }).png().toBuffer();
+        const { data } = await worker.recognize(png);
+        const confidence = Math.round(data.confidence || 0);
+        const text = cleanOcrText(data.text);
+        const accepted = confidence >= minConfidence && text.length > 0;
+        results.push({
+          page: pageNumber,
+          text: accepted ? text : '',
+          confidence,
+          ...(accepted ? {} : { skipped: 'low confidence' })
+        });
+        onPage?.(results[results.length - 1]);
+      }
+    } finally {
+      await worker?.terminate().catch(() => {});
+      await doc.destroy().catch(() => {});
+    }
+
+    const recognized = new Map(results.filter((entry) => entry.text).map((entry) => [entry.page, entry.text]));
+    const existing = new Map((extracted.pages || []).map((entry) => [entry.page, entry.text || '']));
+    const pages = Array.from({ length: extracted.pageCount }, (_, index) => {
+      const page = index + 1;
+      const layerText = existing.get(page) || '';
+      const ocrText = recognized.get(page) || '';
+      return { page, text: ocrText.length > layerText.length ? ocrText : layerText };
+    });
+    const text = pages
+      .map((entry) => entry.text)
+      .filter(Boolean)
+      .join('\n\n');
+    const scored = results.filter((entry) => entry.confidence !== null);
+    // Without per-page text the fallback's text cannot be merged page by page; keep it unless OCR read more.
+    const keepFlatText = !extracted.pages?.length && (extracted.text || '').length >= text.length;
+
+    return {
+      ...extracted,
+      ...(keepFlatText ? {} : { text, pages }),
+      ocr: {
+        pages: results.map(({ page, confidence, text, skipped }) => ({
+          page,
+          confidence,
+          chars: text.length,
+          ...(skipped ? { skipped } : {})
+        })),
+        averageConfidence: scored.length
+          ? Math.round(scored.reduce((sum, entry) => sum + entry.confidence, 0) / scored.length)
+          : null,
+        skippedPages: candidates.length - selected.length
+      }
+    };
+  }
+
+  return {
+    enabled,
+    languages,
+    langPath,
+    scannedPages,
+    recognize
+  };
+}
+
+function stripHeadingMarks(text) {
+  return text.replace(/^#{1,6}[ \t]+/gm, '').trim();
+}
+
+function bundledLangPath() {
+  try {
+    return require('@tesseract.js-data/eng').langPath;
+  } catch {
+    return path.resolve('tessdata');
+  }
+}
+
+// The page's images drawn at their positions on a white page, at the resolution of the sharpest one,
+// so scans stored as strips or tiles are recognized whole. Images drawn rotated or skewed are left out.
+async function composePageScan(page) {
+  const placements = (await listPageImagePlacements(page))
+    .filter(({ matrix: [a, b, c, d] }) => a && d && Math.abs(b) < 1e-6 && Math.abs(c) < 1e-6)
+    .map(({ image, matrix: [a, , , d, e, f] }) => ({
+      image,
+      left: Math.min(e, e + a),
+      bottom: Math.min(f, f + d),
+      width: Math.abs(a),
+      height: Math.abs(d),
+      mirrored: a < 0,
+      flipped: d < 0
+    }));
+  if (!placements.length) return null;
+
+  const left = Math.min(...placements.map((entry) => entry.left));
+  const bottom = Math.min(...placements.map((entry) => entry.bottom));
+  const right = Math.max(...placements.map((entry) => entry.left + entry.width));
+  const top = Math.max(...placements.map((entry) => entry.bottom + entry.height));
+  const scale = Math.min(
+    Math.max(...placements.map((entry) => entry.image.width / entry.width)),
+    MAX_SCAN_DPI / 72,
+    Math.sqrt(MAX_SCAN_AREA / ((right - left) * (top - bottom)))
+  );
+  const width = Math.round((right - left) * scale);
+  const height = Math.round((top - bottom) * scale);
+  // Logos and icons are not worth recognizing; a page scan is hundreds of pixels on each side.
+  if (!(Math.min(width, height) >= MIN_SCAN_PIXELS)) return null;
+
+  const tiles = [];
+  for (const entry of placements) {
+    const x = Math.min(width - 1, Math.round((entry.left - left) * scale));
+    const y = Math.min(height - 1, Math.round((top - entry.bottom - entry.height) * scale));
+    const tile = pdfImageToSharp(entry.image)
+      .resize(
+        Math.max(1, Math.min(width - x, Math.round(entry.width * scale))),
+        Math.max(1, Math.min(height - y, Math.round(entry.height * scale))),
+        { fit: 'fill' }
+      )
+      .flop(entry.mirrored)
+      .flip(entry.flipped);
+    tiles.push({ input: await tile.png().toBuffer(), left: x, top: y });
+  }
+  const png = await sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+    .composite(tiles)
+    .png()
+    .toBuffer();
+  return { png, density: Math.round(scale * 72) };
+}
+
+function cleanOcrText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function normalizePositiveInt(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+export function hashBuffer(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+export function createPipelineCache(options = {}) {
+  const dir = path.resolve(options.dir || process.env.PIPELINE_CACHE_DIR || path.join('tmp', 'cache'));
+  const enabled = options.enabled ?? process.env.PIPELINE_CACHE_DISABLED !== 'true';
+  const maxAgeMs = normalizePositiveInt(
+    options.maxAgeMs ?? process.env.PIPELINE_CACHE_MAX_AGE_MS,
+    DEFAULT_MAX_AGE_MS
+  );
+  let pruneTimer = null;
+
+  function entryPath(namespace, keyParts, ext) {
+    const key = createHash('sha256').update(stableStringify(keyParts)).digest('hex');
+    return path.join(dir, namespace, key.slice(0, 2), `${key}.${ext}`);
+  }
+
+  async function touch(filePath) {
+    const now = new Date();
+    await fs.utimes(filePath, now, now).catch(() => {});
+  }
+
+  async function writeAtomic(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, filePath);
+  }
+
+  const cache = {
+    enabled,
+    dir,
+
+    async getJson(namespace, keyParts) {
+      if (!enabled) return null;
+      const filePath = entryPath(namespace, keyParts, 'json');
+      try {
+        const value = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        await touch(filePath);
+        return value;
+      } catch {
+        return null;
+      }
+    },
+
+    async setJson(namespace, keyParts, value) {
+      if (!enabled) return;
+      try {
+        await writeAtomic(entryPath(namespace, keyParts, 'json'), JSON.stringify(value));
+      } catch (err) {
+        console.warn(`Failed to write ${namespace} cache entry`, err);
+      }
+    },
+
+    async getFile(namespace, keyParts, ext) {
+      if (!enabled) return null;
+      const filePath = entryPath(namespace, keyParts, ext);
+      try {
+        await fs.access(filePath);
+      } catch {
+        return null;
+      }
+      await touch(filePath);
+      const meta = await cache.getJson(`${namespace}-meta`, keyParts);
+      return { path: filePath, meta };
+    },
+
+    async putFile(namespace, keyParts, source, ext, meta = null) {
+      if (!enabled) return;
+      try {
+        const data = Buffer.isBuffer(source) ? source : await fs.readFile(source);
+        await writeAtomic(entryPath(namespace, keyParts, ext), data);
+        if (meta) {
+          await cache.setJson(`${namespace}-meta`, keyParts, meta);
+        }
+      } catch (err) {
+        console.warn(`Failed to write ${namespace} cache entry`, err);
+      }
+    },
+
+    async prune(now = Date.now()) {
+      let removed = 0;
+      const walk = async (current) => {
+        let entries;
+        try {
+          entries = await fs.readdir(current, { withFileTypes: true });
+        } catch {
+          return;
+        }
+        for (const entry of entries) {
+          const entryFullPath = path.join(current, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryFullPath);
+            continue;
+          }
+          const stat = await fs.stat(entryFullPath).catch(() => null);
+          if (stat && now - stat.mtimeMs > maxAgeMs) {
+            await fs.unlink(entryFullPath).catch(() => {});
+            removed += 1;
+          }
+        }
+      };
+      if (enabled) await walk(dir);
+      return removed;
+    },
+
+    startPruner() {
+      if (!enabled || pruneTimer) return;
+      const run = () => cache.prune().catch((err) => console.warn('Pipeline cache prune failed', err));
+      run();
+      pruneTimer = setInterval(run, DEFAULT_PRUNE_INTERVAL_MS);
+      pruneTimer.unref?.();
+    }
+  };
+
+  return cache;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function normalizePositiveInt(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const INDEX_FILENAME = 'index.json';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const RENDER_FILE_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.(mp4|mov)$/i;
+
+export function createRenderStore(options = {}) {
+  const dir = path.resolve(options.dir || process.env.RENDERS_DIR || path.join('tmp', 'renders'));
+  const ttlMs = normalizePositiveInt(options.ttlMs ?? process.env.RENDER_TTL_MS, DEFAULT_TTL_MS);
+  const sweepIntervalMs = normalizePositiveInt(
+    options.sweepIntervalMs ?? process.env.RENDER_SWEEP_INTERVAL_MS,
+    DEFAULT_SWEEP_INTERVAL_MS
+  );
+  const indexPath = path.join(dir, INDEX_FILENAME);
+  const records = new Map();
+  let writeChain = Promise.resolve();
+  let sweepTimer = null;
+
+  function withPath(record) {
+    return {
+      ...record,
+      path: path.join(dir, record.filename),
+      thumbnailPath: record.thumbnailFilename ? path.join(dir, record.thumbnailFilename) : null,
+      expiresAt: record.createdAt + ttlMs
+    };
+  }
+
+  function persist() {
+    const snapshot = JSON.stringify({ version: 1, renders: Array.from(records.values()) }, null, 2);
+    writeChain = writeChain
+      .then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        // Write to a sibling file first so a crash mid-write never leaves a truncated index.
+        const tmpPath = `${indexPath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, snapshot, 'utf8');
+        await fs.rename(tmpPath, indexPath);
+      })
+      .catch((err) => {
+        console.warn('Failed to persist render index', err);
+      });
+    return writeChain;
+  }
+
+  async function readIndex() {
+    try {
+      const raw = await fs.readFile(indexPath, 'utf8');
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed?.renders) ? parsed.renders : [];
+    } catch (err) {
+      if (err?.code !== 'ENOENT') {
+        console.warn('Render index unreadable; rebuilding from files on disk', err);
+      }
+      return [];
+    }
+  }
+
+  async function adoptOrphans() {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      if (err?.code === 'ENOENT') return 0;
+      throw err;
+    }
+
+    let adopted = 0;
+    for (const name of names) {
+      const match = name.match(RENDER_FILE_PATTERN);
+      if (!match || records.has(match[1])) continue;
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (!stat?.isFile()) continue;
+      records.set(match[1], {
+        id: match[1],
+        filename: name,
+        format: match[2].toLowerCase(),
+        createdAt: Math.round(stat.mtimeMs),
+        size: stat.size,
+        thumbnailFilename: null,
+        orientation: null,
+        theme: null,
+        brandKit: null,
+        docTitle: null,
+        durationSeconds: null,
+        slides: []
+      });
+      adopted += 1;
+    }
+    return adopted;
+  }
+
+  async function removeRecord(id) {
+    const record = records.get(id);
+    if (!record) return false;
+    records.delete(id);
+    await fs.unlink(path.join(dir, record.filename)).catch(() => {});
+    if (record.thumbnailFilename) {
+      await fs.unlink(path.join(dir, record.thumbnailFilename)).catch(() => {});
+    }
+    return true;
+  }
+
+  const store = {
+    dir,
+    ttlMs,
+
+    async load() {
+      records.clear();
+      const entries = await readIndex();
+      for (const entry of entries) {
+        if (!entry?.id || !entry?.filename) continue;
+        const exists = await fs
+          .access(path.join(dir, entry.filename))
+          .then(() => true)
+          .catch(() => false);
+        if (exists) {
+          records.set(entry.id, entry);
+        }
+      }
+      const adopted = await adoptOrphans();
+      const expired = await store.sweep({ persistChanges: false });
+      await persist();
+      return { loaded: records.size, adopted, expired };
+    },
+
+    async register(tempPath, { format, thumbnail, ...metadata } = {}) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const id = randomUUID();
+      const filename = `${id}.${format}`;
+      const finalPath = path.join(dir, filename);
+      await fs.rename(tempPath, finalPath);
+      const stat = await fs.stat(finalPath);
+
+      let thumbnailFilename = null;
+      if (Buffer.isBuffer(thumbnail) && thumbnail.length) {
+        thumbnailFilename = `${id}.thumb.png`;
+        await fs.writeFile(path.join(dir, thumbnailFilename), thumbnail);
+      }
+
+      const record = {
+        id,
+        filename,
+        format,
+        createdAt: Date.now(),
+        size: stat.size,
+        thumbnailFilename,
+        orientation: metadata.orientation ?? null,
+        theme: metadata.theme ?? null,
+        brandKit: metadata.brandKit ?? null,
+        docTitle: metadata.docTitle ?? null,
+        durationSeconds: metadata.durationSeconds ?? null,
+        sourceFilename: metadata.sourceFilename ?? null,
+        slides: Array.isArray(metadata.slides) ? metadata.slides : []
+      };
+      records.set(id, record);
+      await persist();
+      return withPath(record);
+    },
+
+    get(id) {
+      const record = records.get(id);
+      if (!record) return null;
+      if (Date.now() - record.createdAt > ttlMs) return null;
+      return withPath(record);
+    },
+
+    list() {
+      const now = Date.now();
+      return Array.from(records.values())
+        .filter((record) => now - record.createdAt <= ttlMs)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(withPath);
+    },
+
+    async remove(id) {
+      const removed = await removeRecord(id);
+      if (removed) await persist();
+      return removed;
+    },
+
+    async sweep({ now = Date.now(), persistChanges = true } = {}) {
+      const expiredIds = Array.from(records.values())
+        .filter((record) => now - record.createdAt > ttlMs)
+        .map((record) => record.id);
+      for (const id of expiredIds) {
+        await removeRecord(id);
+      }
+      if (expiredIds.length && persistChanges) {
+        await persist();
+      }
+      return expiredIds.length;
+    },
+
+    startSweeper() {
+      if (sweepTimer) return;
+      sweepTimer = setInterval(() => {
+        store.sweep().catch((err) => console.warn('Render sweep failed', err));
+      }, sweepIntervalMs);
+      sweepTimer.unref?.();
+    },
+
+    stopSweeper() {
+      if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+      }
+    }
+  };
+
+  return store;
+}
+
+function normalizePositiveInt(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
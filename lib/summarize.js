@@ -1,6 +1,7 @@
 ﻿import fs from 'fs/promises';
 import path from 'path';
 import { z } from 'zod';
+import { LAYOUT_NAMES, isLayoutName, suggestLayout } from './layouts.js';
 
 
 const ASCII_REPLACEMENTS = new Map(
@@ -34,6 +35,8 @@ const BULLET_FILLER_STRINGS = [
 ];
 
 
+const MAX_TIMELINE_ENTRIES = 6;
+
 const ChartSchema = z
   .object({
     type: z.enum(['bar', 'line', 'pie']),
@@ -49,20 +52,57 @@ const ChartSchema = z
   })
   .nullable();
 
-const SlideSchema = z.object({
+// Content for the layout templates in lib/layouts.js; optional so older plans still validate.
+const StatSchema = z.object({ value: z.string().min(1).max(24), label: z.string().max(140) });
+const QuoteSchema = z.object({ text: z.string().min(1).max(320), attribution: z.string().max(120).nullable().optional() });
+const ColumnSchema = z.object({ title: z.string().max(60), points: z.array(z.string().max(140)).min(1).max(4) });
+const TimelineEntrySchema = z.object({ label: z.string().min(1).max(30), text: z.string().max(140) });
+
+export const SlideSchema = z.object({
   headline: z.string(),
   paragraph: z.string().min(1),
   bullets: z.array(z.string()).min(2).max(4),
-  chart: ChartSchema
+  chart: ChartSchema,
+  layout: z.enum(LAYOUT_NAMES).nullable().optional(),
+  stat: StatSchema.nullable().optional(),
+  quote: QuoteSchema.nullable().optional(),
+  columns: z.array(ColumnSchema).length(2).nullable().optional(),
+  timeline: z.array(TimelineEntrySchema).min(2).max(MAX_TIMELINE_ENTRIES).nullable().optional(),
+  page: z.number().int().positive().nullable().optional(),
+  figure: z.string().max(120).nullable().optional(),
+  source: z.number().int().positive().nullable().optional()
 });
 
-const SummarySchema = z.object({
+const SourceSchema = z.object({
+  index: z.number().int().positive(),
+  name: z.string().max(200),
+  format: z.string().max(20).nullable().optional(),
+  pageCount: z.number().int().nonnegative().nullable().optional()
+});
+
+export const SummarySchema = z.object({
   docTitle: z.string().min(1),
-  slides: z.array(SlideSchema).min(2).max(8)
+  slides: z.array(SlideSchema).min(2).max(8),
+  sources: z.array(SourceSchema).max(20).optional()
 });
 
+// Part of the slide plan cache key. Bump it whenever the prompts, the model settings or the plan
+// normalization change, so plans made by the old planner are not reused.
+export const PLANNER_VERSION = 1;
+
 const DEBUG_SUMMARY = process.env.DEBUG_SUMMARY === 'true';
 
+// Documents longer than one prompt are condensed part by part before slides are planned.
+const SINGLE_PASS_MAX_CHARS = 20000;
+const SUMMARY_CHUNK_CHARS = normalizePositiveInt(process.env.SUMMARY_CHUNK_CHARS, 12000);
+const SUMMARY_MAX_CHUNKS = normalizePositiveInt(process.env.SUMMARY_MAX_CHUNKS, 12);
+
+const ChunkNoteSchema = z.object({
+  title: z.string().default(''),
+  summary: z.string().min(1),
+  keyPoints: z.array(z.string()).default([])
+});
+
 function toAscii(input) {
   if (input == null) return '';
   const normalized = String(input)
@@ -117,7 +157,8 @@ function isPlaceholderBullet(text) {
   return !key || BULLET_PLACEHOLDER_KEYS.has(key);
 }
 
-function toJsonSchema() {
+function toJsonSchema({ withSource = false } = {}) {
+  const slideSource = withSource ? { source: { type: 'integer', minimum: 1 } } : {};
   return {
     type: 'object',
     additionalProperties: false,
@@ -173,9 +214,59 @@ function toJsonSchema() {
                   required: ['type', 'categories', 'series']
                 }
               ]
-            }
+            },
+            layout: { type: 'string', enum: LAYOUT_NAMES },
+            stat: nullableObject({ value: { type: 'string' }, label: { type: 'string' } }),
+            quote: nullableObject({ text: { type: 'string' }, attribution: { type: 'string' } }),
+            columns: {
+              anyOf: [
+                { type: 'null' },
+                {
+                  type: 'array',
+                  minItems: 2,
+                  maxItems: 2,
+                  items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                      title: { type: 'string' },
+                      points: { type: 'array', minItems: 1, maxItems: 4, items: { type: 'string' } }
+                    },
+                    required: ['title', 'points']
+                  }
+                }
+              ]
+            },
+            timeline: {
+              anyOf: [
+                { type: 'null' },
+                {
+                  type: 'array',
+                  minItems: 2,
+                  maxItems: MAX_TIMELINE_ENTRIES,
+                  items: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: { label: { type: 'string' }, text: { type: 'string' } },
+                    required: ['label', 'text']
+                  }
+                }
+              ]
+            },
+            ...slideSource
           },
-          required: ['headline', 'paragraph', 'bullets', 'chart']
+          required: [
+            'headline',
+            'paragraph',
+            'bullets',
+            'chart',
+            'layout',
+            'stat',
+            'quote',
+            'columns',
+            'timeline',
+            ...Object.keys(slideSource)
+          ]
         }
       }
     },
@@ -183,11 +274,25 @@ function toJsonSchema() {
   };
 }
 
+function nullableObject(properties) {
+  return {
+    anyOf: [
+      { type: 'null' },
+      { type: 'object', additionalProperties: false, properties, required: Object.keys(properties) }
+    ]
+  };
+}
+
 function countNumericTokens(text) {
   return (text.match(/\b\d+(?:\.\d+)?\b/g) || []).length;
 }
 
 function countSections(text) {
+  const headingSections = splitHeadingSections(text);
+  if (headingSections.length >= 2) {
+    return headingSections.length;
+  }
+
   const sections = text
     .split(/\n{2,}/)
     .map((s) => s.trim())
@@ -239,7 +344,22 @@ function normalizeHeadline(headline, index) {
   return truncated || fallback;
 }
 
-export async function summarizeToSlides({ longcat, text }) {
+export async function summarizeToSlides({
+  longcat,
+  text,
+  outline = [],
+  pages = [],
+  tables = [],
+  sources = [],
+  signal,
+  onProgress
+}) {
+  // Several documents are planned as one narrative over their labelled, concatenated text.
+  const combined = sources.length > 1 ? combineSources(sources) : null;
+  if (combined) {
+    ({ text, outline, tables } = combined);
+    pages = [];
+  }
   const debugId = DEBUG_SUMMARY ? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}` : null;
   if (DEBUG_SUMMARY) {
     await writeDebugArtifact(debugId, 'input.txt', text);
@@ -264,34 +384,75 @@ Rules for each section:
 - paragraph: write exactly 2 disciplined sentences (<= 360 characters total) capturing concrete facts, names, dates, metrics, and causal relationships.
 - bullets: provide 3 crisp highlights (<= 90 characters each) that divide the paragraph into clear beats; use present tense and avoid trailing punctuation unless necessary.
 - chart: include only when the source has explicit quantitative data and supply matching categories plus numeric series for bar, line, or pie.
-Keep the narrative progression logical, avoid repetition, and scale the number of sections with document density (short inputs 2-3 sections, long/dense up to 8).`;
-
-  const user = [
-    `Document characters: ${stats.charCount}`,
-    `Numeric tokens detected: ${stats.numericTokens}`,
-    `Detected sections: ${stats.uniqueSections}`,
-    `Target section count: ${stats.slideCount}`,
-    '',
-    'Document:',
-    text
-  ].join('\n');
+- layout: pick the template that presents the section best. "standard" (talking points beside an illustration or chart) suits most sections; "title-card" an opening or section break; "stat" one striking number (fill stat: value as printed, e.g. "42%", and a short label); "quote" a sentence quoted verbatim from the document (fill quote with text and attribution); "comparison" two contrasting options, periods or groups (fill columns with two titled lists of 1-4 short points); "timeline" dated events or sequential phases (fill timeline with 2-6 entries of a short label and text); "chart-focus" when the chart is the point of the section; "full-bleed" a visual section that a photo or figure can carry. Set stat, quote, columns and timeline to null unless the chosen layout needs them, and never invent numbers, quotes or dates.
+Keep the narrative progression logical, avoid repetition, and scale the number of sections with document density (short inputs 2-3 sections, long/dense up to 8).
+When a document outline is provided, align sections with its major headings and reuse their wording in headlines where it fits.
+When extracted tables are provided, build charts only from them: copy categories and values exactly as printed, without estimating or converting numbers.${
+    combined
+      ? `
+The document combines several sources, each starting with a "[Source N: name]" line. Plan one coherent narrative across all of them instead of summarizing each source in turn, and set each section's source to the number of the source its facts come from.`
+      : ''
+  }`;
+
+  const outlineLines = outline
+    .slice(0, 40)
+    .map((entry) => `${'  '.repeat(Math.max(0, entry.level - 1))}- ${entry.title}${formatLocation(entry)}`);
 
   let structured;
+  let coverage = { mode: 'single-pass', totalChars: text.length, coveredChars: text.length, coverage: 1 };
+  const coverageWarnings = [];
   try {
+    let documentText = text;
+    if (text.length > SINGLE_PASS_MAX_CHARS) {
+      const condensed = await condenseLongDocument({ longcat, text, signal, onProgress, debugId });
+      documentText = condensed.digest;
+      coverage = condensed.coverage;
+      coverageWarnings.push(...condensed.warnings);
+    }
+
+    const user = [
+      `Document characters: ${stats.charCount}`,
+      `Numeric tokens detected: ${stats.numericTokens}`,
+      `Detected sections: ${stats.uniqueSections}`,
+      `Target section count: ${stats.slideCount}`,
+      '',
+      ...(combined ? ['Sources:', ...combined.sourceLines, ''] : []),
+      ...(outlineLines.length ? ['Document outline:', ...outlineLines, ''] : []),
+      ...(tables.length ? ['Extracted tables (exact values):', ...formatTablesForPrompt(tables), ''] : []),
+      documentText === text ? 'Document:' : 'Document (condensed notes covering the whole source, in order):',
+      documentText
+    ].join('\n');
+
     const raw = await longcat.jsonCompletion({
       system,
       user,
-      schema: toJsonSchema(),
-      temperature: 0.3
+      schema: toJsonSchema({ withSource: Boolean(combined) }),
+      temperature: 0.3,
+      signal
     });
     await writeDebugArtifact(debugId, 'longcat-response.txt', raw);
     structured = normalizeStructuredResponse(parseStructuredResponse(raw));
   } catch (error) {
     await writeDebugArtifact(debugId, 'error.txt', describeError(error));
-    const fallback = tryHeuristicFallback({ error, text, stats });
+    if (signal?.aborted) {
+      throw error;
+    }
+    const fallback = tryHeuristicFallback({ error, text: combined ? stripSourceMarkers(text) : text, stats });
     if (!fallback) {
       throw error;
     }
+    fallback.slides = combined
+      ? assignSources(fallback.slides, sources)
+      : assignSourcePages(fallback.slides, { outline, pages });
+    if (combined) fallback.sources = combined.summarySources;
+    // The heuristic summary samples sentences from the full text rather than the condensed notes.
+    fallback.stats = {
+      ...fallback.stats,
+      mode: 'heuristic',
+      totalChars: text.length,
+      coveredChars: text.length,
+      coverage: 1
+    };
     await writeDebugArtifact(debugId, 'fallback.json', JSON.stringify(fallback, null, 2));
     return fallback;
   }
@@ -321,7 +482,9 @@ Keep the narrative progression logical, avoid repetition, and scale the number o
 
   const ensureFallbackData = () => {
     if (!fallbackData) {
-      fallbackData = normalizeStructuredResponse(buildHeuristicSummary(text, stats));
+      fallbackData = normalizeStructuredResponse(
+        buildHeuristicSummary(combined ? stripSourceMarkers(text) : text, stats)
+      );
     }
     return fallbackData;
   };
@@ -364,17 +527,35 @@ Keep the narrative progression logical, avoid repetition, and scale the number o
       headline: normalizeHeadline(sourceSlide.headline, index),
       paragraph,
       bullets: normalizeBullets(sourceSlide.bullets, paragraph),
-      chart: normalizeChart(sourceSlide.chart)
+      chart: normalizeChart(sourceSlide.chart),
+      ...normalizeLayoutFields(sourceSlide),
+      ...(sourceSlide.source ? { source: sourceSlide.source } : {})
     };
   });
 
   const summaryStats = {
     ...stats,
+    ...coverage,
     plannedSections: normalizedSlides.length,
     targetSections: desiredCount
   };
+  warnings.push(...coverageWarnings);
+
+  const located = combined
+    ? assignSources(normalizedSlides, sources)
+    : assignSourcePages(normalizedSlides, { outline, pages });
+  const checked = verifyCharts(located, { tables, text });
+  // Suggested after chart verification, so a slide whose chart was dropped leaves chart-focus.
+  checked.slides = checked.slides.map((slide) => ({ ...slide, layout: suggestLayout(slide) }));
+  summaryStats.chartsVerified = checked.verified;
+  summaryStats.chartsDropped = checked.dropped.length;
+  checked.dropped.forEach((index) => {
+    warnings.push(
+      `Dropped the chart on slide ${index + 1}: its values do not appear in ${tables.length ? 'any extracted table' : 'the document'}.`
+    );
+  });
 
-  await writeDebugArtifact(debugId, 'normalized.json', JSON.stringify({ docTitle, slides: normalizedSlides, stats: summaryStats }, null, 2));
+  await writeDebugArtifact(debugId, 'normalized.json', JSON.stringify({ docTitle, slides: checked.slides, stats: summaryStats }, null, 2));
 
   if (fallbackReplacements > 0) {
     summaryStats.fallbackReplacements = fallbackReplacements;
@@ -385,10 +566,381 @@ Keep the narrative progression logical, avoid repetition, and scale the number o
 
   return {
     docTitle,
-    slides: normalizedSlides,
+    slides: checked.slides,
     stats: summaryStats,
-    warnings
+    warnings,
+    ...(combined ? { sources: combined.summarySources } : {})
+  };
+}
+
+// Gives each slide the largest document figure from its source page that no earlier slide uses.
+export function attachFigures(slides, figures = []) {
+  const used = new Set();
+  return slides.map((slide) => {
+    const best = figures
+      .filter(
+        (figure) =>
+          figure.page === slide.page && (figure.source ?? null) === (slide.source ?? null) && !used.has(figure.id)
+      )
+      .sort((a, b) => b.width * b.height - a.width * a.height)[0];
+    if (!best) {
+      return { ...slide, figure: slide.figure ?? null };
+    }
+    used.add(best.id);
+    return { ...slide, figure: best.id };
+  });
+}
+
+function formatTablesForPrompt(tables) {
+  return tables.slice(0, 10).flatMap((table, index) => [
+    `Table ${index + 1}${formatLocation(table)}${table.title ? `: ${table.title}` : ''}`,
+    ...[table.columns, ...table.rows.slice(0, 20)].map((cells) => cells.join(' | '))
+  ]);
+}
+
+// Reads the numbers a table cell or text token may stand for: "1,450" is 1450, "12%" is 12,
+// "(3.5)" is -3.5 and "2.1M" is both 2.1 and 2100000.
+function parseNumberCandidates(token) {
+  const match = String(token || '')
+    .trim()
+    .match(/^([-+−(]?)\s*[$€£¥]?\s*(\d[\d,]*(?:\.\d+)?)\s*(%|k|m|mn|b|bn)?\)?$/i);
+  if (!match) return [];
+  const sign = match[1] === '-' || match[1] === '−' || match[1] === '(' ? -1 : 1;
+  const value = sign * Number(match[2].replace(/,/g, ''));
+  if (!Number.isFinite(value)) return [];
+  const scale = { k: 1e3, m: 1e6, mn: 1e6, b: 1e9, bn: 1e9 }[String(match[3] || '').toLowerCase()];
+  return scale ? [value, value * scale] : [value];
+}
+
+function numbersInText(text) {
+  return (String(text || '').match(/[-−(]?[$€£¥]?\d[\d,]*(?:\.\d+)?(?:\s*(?:%|bn|mn|[kmb])\b)?/gi) || []).flatMap(
+    parseNumberCandidates
+  );
+}
+
+function containsNumber(numbers, value) {
+  return numbers.some((candidate) => Math.abs(candidate - value) <= Math.max(1e-6, Math.abs(candidate) * 0.005));
+}
+
+// Keeps a chart only when every value it plots was printed in one extracted table (or, for
+// documents without tables, somewhere in the text); otherwise Longcat made the numbers up.
+function verifyCharts(slides, { tables = [], text = '' } = {}) {
+  const tableNumbers = tables.map((table) => table.rows.flat().flatMap(parseNumberCandidates));
+  const textNumbers = tables.length ? [] : numbersInText(text);
+  let verified = 0;
+  const dropped = [];
+
+  const checkedSlides = slides.map((slide, index) => {
+    if (!slide.chart) return slide;
+    const values = slide.chart.series.flatMap((entry) => entry.values);
+    if (tables.length) {
+      const tableIndex = tableNumbers.findIndex((numbers) => values.every((value) => containsNumber(numbers, value)));
+      if (tableIndex !== -1) {
+        verified += 1;
+        const table = tables[tableIndex];
+        return {
+          ...slide,
+          page: table.page ?? slide.page ?? null,
+          ...(table.source ? { source: table.source } : {})
+        };
+      }
+    } else if (values.every((value) => containsNumber(textNumbers, value))) {
+      verified += 1;
+      return slide;
+    }
+    dropped.push(index);
+    return { ...slide, chart: null };
+  });
+
+  return { slides: checkedSlides, verified, dropped };
+}
+
+function splitHeadingSections(text) {
+  const source = String(text || '');
+  const headings = Array.from(source.matchAll(/^(#{1,6})[ \t]+(.+)$/gm));
+  if (headings.length < 2) return [];
+
+  // Split on the shallowest heading level that repeats; deeper headings stay inside their section.
+  const levels = headings.map((match) => match[1].length);
+  const level = Math.min(
+    ...levels.filter((value) => levels.filter((other) => other === value).length >= 2)
+  );
+  const boundaries = Number.isFinite(level)
+    ? headings.filter((match) => match[1].length === level)
+    : headings;
+
+  const stripHeadings = (value) => value.replace(/^#{1,6}[ \t]+.*$/gm, '').trim();
+  const sections = [];
+  const preface = stripHeadings(source.slice(0, boundaries[0].index));
+  if (preface.length >= 120) {
+    const prefaceTitle = headings.find((match) => match.index < boundaries[0].index)?.[2];
+    sections.push({ title: (prefaceTitle || 'Overview').trim(), body: preface });
+  }
+  boundaries.forEach((match, index) => {
+    const end = index + 1 < boundaries.length ? boundaries[index + 1].index : source.length;
+    const body = stripHeadings(source.slice(match.index + match[0].length, end));
+    if (body) {
+      sections.push({ title: match[2].trim(), body });
+    }
+  });
+  return sections;
+}
+
+function tokenizeForMatching(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]{4,}/g) || [];
+}
+
+// Scores texts (pages, source documents) against a slide by the distinctive words they share and
+// returns the key of the best match, or null when nothing overlaps.
+function createTokenMatcher(entries) {
+  const indexed = entries.map((entry) => ({ key: entry.key, tokens: new Set(tokenizeForMatching(entry.text)) }));
+  const documentFrequency = new Map();
+  indexed.forEach(({ tokens }) => {
+    tokens.forEach((token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  });
+
+  return (slide) => {
+    const slideTokens = new Set(
+      tokenizeForMatching([slide.headline, slide.paragraph, ...(slide.bullets || [])].join(' '))
+    );
+    let bestKey = null;
+    let bestScore = 0;
+    indexed.forEach(({ key, tokens }) => {
+      let score = 0;
+      slideTokens.forEach((token) => {
+        if (tokens.has(token)) {
+          score += Math.log(1 + indexed.length / documentFrequency.get(token));
+        }
+      });
+      if (score > bestScore) {
+        bestScore = score;
+        bestKey = key;
+      }
+    });
+    return bestKey;
+  };
+}
+
+// Points each slide at the page its content most likely came from: an outline heading
+// matching the headline wins, otherwise the page sharing the most distinctive words.
+function assignSourcePages(slides, { outline = [], pages = [] } = {}) {
+  const matchPage = createTokenMatcher(pages.map((entry) => ({ key: entry.page, text: entry.text })));
+
+  return slides.map((slide) => {
+    const headlineKey = placeholderKey(slide.headline);
+    const heading = outline.find((entry) => entry.page && placeholderKey(entry.title) === headlineKey);
+    if (heading) {
+      return { ...slide, page: heading.page };
+    }
+    return { ...slide, page: matchPage(slide) ?? slide.page ?? null };
+  });
+}
+
+// Multi-document plans: a slide keeps the source Longcat named when it exists, otherwise the source
+// sharing the most distinctive words; its page is then looked up within that source.
+function assignSources(slides, sources) {
+  const matchSource = createTokenMatcher(sources.map((source, index) => ({ key: index + 1, text: source.text })));
+  return slides.map((slide) => {
+    const source = Number.isInteger(slide.source) && slide.source <= sources.length
+      ? slide.source
+      : matchSource(slide) ?? 1;
+    const { outline = [], pages = [] } = sources[source - 1];
+    const [located] = assignSourcePages([{ ...slide, page: null }], { outline, pages });
+    return { ...located, source };
+  });
+}
+
+// Labels every source and concatenates them in upload order; sources are numbered from 1, and
+// outline entries and tables remember which source they belong to.
+function combineSources(sources) {
+  const labelled = sources.map((source, index) => ({
+    ...source,
+    index: index + 1,
+    name: String(source.name || '').replace(/[[\]\r\n]+/g, ' ').trim().slice(0, 200) || `Document ${index + 1}`
+  }));
+  return {
+    text: labelled
+      .map((source) => `[Source ${source.index}: ${source.name}]\n\n${String(source.text || '').trim()}`)
+      .join('\n\n'),
+    outline: labelled.flatMap((source) => (source.outline || []).map((entry) => ({ ...entry, source: source.index }))),
+    tables: labelled.flatMap((source) => (source.tables || []).map((table) => ({ ...table, source: source.index }))),
+    sourceLines: labelled.map(
+      (source) =>
+        `${source.index}. ${source.name}${source.format ? ` (${source.format}${source.pageCount ? `, ${source.pageCount} pages` : ''})` : ''}`
+    ),
+    summarySources: labelled.map((source) => ({
+      index: source.index,
+      name: source.name,
+      format: source.format ?? null,
+      pageCount: source.pageCount ?? null
+    }))
+  };
+}
+
+function stripSourceMarkers(text) {
+  return String(text || '').replace(/^\[Source \d+: [^\]\n]*\]$/gm, '').trim();
+}
+
+function formatLocation({ source, page } = {}) {
+  const parts = [source ? `source ${source}` : null, page ? `page ${page}` : null].filter(Boolean);
+  return parts.length ? ` (${parts.join(', ')})` : '';
+}
+
+// Map step of the long-document path: every part is summarized on its own and the notes are
+// stitched into a digest that fits a single planning prompt.
+async function condenseLongDocument({ longcat, text, signal, onProgress, debugId }) {
+  const chunkChars = Math.min(
+    SINGLE_PASS_MAX_CHARS,
+    Math.max(SUMMARY_CHUNK_CHARS, Math.ceil(text.length / SUMMARY_MAX_CHUNKS))
+  );
+  const allChunks = chunkDocument(text, chunkChars);
+  const chunks = allChunks.slice(0, SUMMARY_MAX_CHUNKS);
+  const noteChars = Math.floor(SINGLE_PASS_MAX_CHARS / chunks.length);
+
+  const system = `You condense one part of a longer document into notes for a later summarization step.
+Always emit JSON that matches the provided schema.
+- title: the topic of this part in <= 8 words, reusing a heading from the text when present.
+- summary: 2-4 sentences with the concrete facts, names, dates and metrics of this part.
+- keyPoints: up to 5 short facts worth keeping, copying numbers exactly as written.
+Use ASCII characters only and do not invent information.`;
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string' },
+      summary: { type: 'string' },
+      keyPoints: { type: 'array', maxItems: 5, items: { type: 'string' } }
+    },
+    required: ['title', 'summary', 'keyPoints']
+  };
+
+  const notes = [];
+  let failedChunks = 0;
+  for (let index = 0; index < chunks.length; index += 1) {
+    signal?.throwIfAborted();
+    const chunk = chunks[index];
+    let note;
+    try {
+      const raw = await longcat.jsonCompletion({
+        system,
+        user: [`Part ${index + 1} of ${chunks.length}`, '', chunk.text].join('\n'),
+        schema,
+        temperature: 0.2,
+        maxTokens: 700,
+        signal
+      });
+      await writeDebugArtifact(debugId, `chunk-${index + 1}.txt`, raw);
+      note = ChunkNoteSchema.parse(tryExtractJson(raw) ?? {});
+    } catch (error) {
+      // Losing Longcat altogether is handled by the caller's heuristic fallback.
+      if (signal?.aborted || isLikelyNetworkError(error)) {
+        throw error;
+      }
+      failedChunks += 1;
+      console.warn(`Longcat could not summarize part ${index + 1}; using its opening sentences.`, describeError(error));
+      note = {
+        title: '',
+        summary: splitIntoSentences(chunk.text.replace(/^#{1,6}[ \t]+.*$/gm, '')).slice(0, 4).join(' '),
+        keyPoints: []
+      };
+    }
+
+    const title = collapseWhitespace(toAscii(note.title)) || chunk.title || `Part ${index + 1}`;
+    const lines = [`# ${title}`, note.summary, ...note.keyPoints.map((point) => `- ${point}`)];
+    notes.push(lines.join('\n').slice(0, noteChars));
+    onProgress?.(`Summarized part ${index + 1} of ${chunks.length}`);
+  }
+
+  const coveredChars = chunks.length === allChunks.length ? text.length : chunks[chunks.length - 1].end;
+  const coverage = {
+    mode: 'map-reduce',
+    chunks: allChunks.length,
+    chunksSummarized: chunks.length,
+    chunkFailures: failedChunks,
+    totalChars: text.length,
+    coveredChars,
+    coverage: Math.round((coveredChars / text.length) * 1000) / 1000
   };
+
+  const percent = Math.round(coverage.coverage * 100);
+  const warnings = [
+    `Long document (${text.length} characters) was summarized in ${chunks.length} part${chunks.length === 1 ? '' : 's'} covering ${percent}% of the text.`
+  ];
+  if (chunks.length < allChunks.length) {
+    warnings.push(
+      `Only the first ${chunks.length} of ${allChunks.length} parts were summarized; raise SUMMARY_MAX_CHUNKS to cover the rest.`
+    );
+  }
+  if (failedChunks) {
+    warnings.push(
+      `Longcat could not summarize ${failedChunks} part${failedChunks === 1 ? '' : 's'}; used their opening sentences instead.`
+    );
+  }
+
+  await writeDebugArtifact(debugId, 'digest.txt', notes.join('\n\n'));
+  return { digest: notes.join('\n\n'), coverage, warnings };
+}
+
+// Packs paragraphs into parts of at most `maxChars`, preferring to start a new part at a
+// top-level heading once the current one is half full. Parts remember where they end.
+function chunkDocument(text, maxChars) {
+  const blocks = [];
+  const blockPattern = /[^\n]+(?:\n[^\n]+)*/g;
+  let match;
+  while ((match = blockPattern.exec(text))) {
+    const block = match[0].trim();
+    if (!block) continue;
+    if (block.length <= maxChars) {
+      blocks.push({ text: block, end: match.index + match[0].length });
+      continue;
+    }
+    let offset = match.index;
+    splitLongBlock(block, maxChars).forEach((piece) => {
+      offset += piece.length;
+      blocks.push({ text: piece, end: Math.min(offset, match.index + match[0].length) });
+    });
+  }
+
+  const chunks = [];
+  let current = null;
+  blocks.forEach((block) => {
+    const startsSection = /^#{1,2}[ \t]+\S/.test(block.text);
+    if (
+      current &&
+      (current.text.length + block.text.length + 2 > maxChars ||
+        (startsSection && current.text.length >= maxChars * 0.5))
+    ) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { title: '', text: '', end: 0 };
+    }
+    if (!current.title) {
+      current.title = block.text.match(/^#{1,6}[ \t]+(.+)$/m)?.[1].trim() || '';
+    }
+    current.text = current.text ? `${current.text}\n\n${block.text}` : block.text;
+    current.end = block.end;
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function splitLongBlock(block, maxChars) {
+  const pieces = [];
+  let current = '';
+  block.split(/(?<=[.!?])\s+/).forEach((sentence) => {
+    for (let start = 0; start < sentence.length; start += maxChars) {
+      const part = sentence.slice(start, start + maxChars);
+      if (current && current.length + part.length + 1 > maxChars) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${part}` : part;
+    }
+  });
+  if (current) pieces.push(current);
+  return pieces;
 }
 
 function tryHeuristicFallback({ error, text, stats }) {
@@ -424,7 +976,8 @@ function tryHeuristicFallback({ error, text, stats }) {
       headline: normalizeHeadline(safeSlide.headline, index),
       paragraph,
       bullets: normalizeBullets(safeSlide.bullets, paragraph),
-      chart: normalizeChart(safeSlide.chart)
+      chart: normalizeChart(safeSlide.chart),
+      layout: 'standard'
     };
   });
 
@@ -434,7 +987,8 @@ function tryHeuristicFallback({ error, text, stats }) {
     stats: {
       ...stats,
       plannedSections: normalizedSlides.length,
-      targetSections: desiredCount
+      targetSections: desiredCount,
+      heuristicFallback: true
     },
     warnings: ['Longcat request failed; generated heuristic summary instead.']
   };
@@ -594,7 +1148,9 @@ function normalizeStructuredResponse(data) {
       headline: normalizeHeadline(headlineText, index),
       paragraph,
       bullets: normalizeBullets(safeSlide.bullets, paragraph),
-      chart: normalizeChart(safeSlide.chart)
+      chart: normalizeChart(safeSlide.chart),
+      ...normalizeLayoutFields(safeSlide),
+      ...(Number.isInteger(safeSlide.source) && safeSlide.source > 0 ? { source: safeSlide.source } : {})
     };
   });
 
@@ -771,6 +1327,50 @@ function normalizeChart(input) {
   };
 }
 
+// Template content from the planner, trimmed to the schema limits; anything unusable becomes null.
+function normalizeLayoutFields(slide) {
+  return {
+    layout: isLayoutName(slide.layout) ? slide.layout : null,
+    stat: normalizeStat(slide.stat),
+    quote: normalizeQuote(slide.quote),
+    columns: normalizeColumns(slide.columns),
+    timeline: normalizeTimeline(slide.timeline)
+  };
+}
+
+function normalizeStat(input) {
+  const value = truncateSummaryText(input?.value, 24);
+  if (!value) return null;
+  return { value, label: truncateSummaryText(input.label, 140) };
+}
+
+function normalizeQuote(input) {
+  const text = truncateSummaryText(String(input?.text ?? '').replace(/^["']+|["']+$/g, ''), 320);
+  if (!text) return null;
+  return { text, attribution: truncateSummaryText(input.attribution, 120) || null };
+}
+
+function normalizeColumns(input) {
+  if (!Array.isArray(input) || input.length !== 2) return null;
+  const columns = input.map((column) => ({
+    title: truncateSummaryText(column?.title, 60),
+    points: (Array.isArray(column?.points) ? column.points : [])
+      .map((point) => truncateSummaryText(cleanBulletLine(point), 140))
+      .filter(Boolean)
+      .slice(0, 4)
+  }));
+  return columns.every((column) => column.points.length) ? columns : null;
+}
+
+function normalizeTimeline(input) {
+  if (!Array.isArray(input)) return null;
+  const entries = input
+    .map((entry) => ({ label: truncateSummaryText(entry?.label, 30), text: truncateSummaryText(entry?.text, 140) }))
+    .filter((entry) => entry.label)
+    .slice(0, MAX_TIMELINE_ENTRIES);
+  return entries.length >= 2 ? entries : null;
+}
+
 function paragraphHighlights(paragraph) {
   return splitIntoSentences(paragraph)
     .map((sentence) => truncateSummaryText(sentence, 110))
@@ -886,8 +1486,31 @@ function buildHeuristicSummary(text, stats) {
     };
   }
 
-  const sentences = splitIntoSentences(cleaned);
+  // Ingestion marks headings with a Markdown "#" prefix; keep them out of the prose.
+  const firstHeading = cleaned.match(/^#{1,6}\s+(.+)$/m)?.[1] || '';
   const targetSections = Math.min(Math.max(stats.slideCount || 3, 2), 8);
+
+  const sections = splitHeadingSections(cleaned);
+  if (sections.length >= 2) {
+    const groupSize = Math.ceil(sections.length / targetSections);
+    const sectionSlides = [];
+    for (let index = 0; index < sections.length; index += groupSize) {
+      const group = sections.slice(index, index + groupSize);
+      const paragraph = truncateSummaryText(splitIntoSentences(group.map((entry) => entry.body).join(' ')).join(' '), 420);
+      sectionSlides.push({
+        headline: truncateSummaryText(group[0].title, 70) || heuristicHeadline(paragraph, sectionSlides.length),
+        paragraph,
+        bullets: paragraphHighlights(paragraph).slice(0, 4),
+        chart: null
+      });
+    }
+    return {
+      docTitle: heuristicDocTitle(firstHeading || sectionSlides[0].headline),
+      slides: sectionSlides
+    };
+  }
+
+  const sentences = splitIntoSentences(cleaned.replace(/^#{1,6}\s+.*$/gm, ''));
   const chunkSize = Math.max(1, Math.ceil(sentences.length / targetSections));
   const slides = [];
 
@@ -915,7 +1538,7 @@ function buildHeuristicSummary(text, stats) {
   }
 
   return {
-    docTitle: heuristicDocTitle(slides[0]?.headline || cleaned),
+    docTitle: heuristicDocTitle(firstHeading || slides[0]?.headline || cleaned),
     slides: slides.slice(0, targetSections)
   };
 }
@@ -1000,6 +1623,11 @@ function describeError(error) {
   return parts.join(' | ') || 'unknown error';
 }
 
+function normalizePositiveInt(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
 
 
 
@@ -11,7 +11,9 @@ const SUPABASE_KEY = SUPABASE_SERVICE_ROLE || process.env.SUPABASE_ANON_KEY;
 
 const ILLUSTRATION_FOLDERS = {
   '16:9': ['illustrations'],
-  '9:16': ['illustrations']
+  '9:16': ['illustrations'],
+  '1:1': ['illustrations'],
+  '4:5': ['illustrations']
 };
 
 const supabaseClient =
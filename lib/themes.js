@@ -0,0 +1,114 @@
+// Slide themes. Fonts must be installed in assets/fonts; resvg only tells apart the static faces,
+// so weights below 600 render with the variable font's default instance.
+const THEMES = {
+  classic: {
+    name: 'classic',
+    label: 'Classic',
+    description: 'Yellow on royal blue, the original look',
+    colors: {
+      background: '#204EA3',
+      foreground: '#F5EF77',
+      accent: '#F5EF77',
+      chart: ['#F5EF77', '#FFFFFF', '#8FD3FF', '#FF9F80', '#9BE7B0', '#C7B8FF']
+    },
+    background: { type: 'solid' },
+    fonts: { family: 'Outfit', headlineWeight: '700', bodyWeight: '700' },
+    padding: 64,
+    frame: { radius: 28, width: 6, shadow: true },
+    bullet: 'dot'
+  },
+  midnight: {
+    name: 'midnight',
+    label: 'Midnight',
+    description: 'White on a dark slate gradient with sky-blue accents',
+    colors: {
+      background: '#0F172A',
+      foreground: '#F8FAFC',
+      accent: '#38BDF8',
+      chart: ['#38BDF8', '#F8FAFC', '#F472B6', '#FACC15', '#4ADE80', '#A78BFA']
+    },
+    background: { type: 'linear', from: '#0F172A', to: '#1E3A5F', angle: 135 },
+    fonts: { family: 'Outfit', headlineWeight: '900', bodyWeight: '700' },
+    padding: 72,
+    frame: { radius: 12, width: 4, shadow: true },
+    bullet: 'dash'
+  },
+  paper: {
+    name: 'paper',
+    label: 'Paper',
+    description: 'Ink on warm off-white with a dotted texture',
+    colors: {
+      background: '#F7F3EA',
+      foreground: '#1F2937',
+      accent: '#C2410C',
+      chart: ['#C2410C', '#1F2937', '#0E7490', '#CA8A04', '#15803D', '#7C3AED']
+    },
+    background: { type: 'solid', texture: { pattern: 'dots', color: '#1F2937', opacity: 0.12, size: 28 } },
+    fonts: { family: 'Outfit', headlineWeight: '900', bodyWeight: '700' },
+    padding: 80,
+    frame: { radius: 4, width: 3, shadow: false },
+    bullet: 'arrow'
+  },
+  sunset: {
+    name: 'sunset',
+    label: 'Sunset',
+    description: 'Cream on a rust-to-magenta gradient with diagonal grain',
+    colors: {
+      background: '#7C2D12',
+      foreground: '#FFF7ED',
+      accent: '#FDBA74',
+      chart: ['#FDBA74', '#FFF7ED', '#F9A8D4', '#FDE047', '#86EFAC', '#C4B5FD']
+    },
+    background: {
+      type: 'linear',
+      from: '#7C2D12',
+      to: '#9D174D',
+      angle: 160,
+      texture: { pattern: 'diagonal', color: '#FFFFFF', opacity: 0.05, size: 18 }
+    },
+    fonts: { family: 'Outfit', headlineWeight: '700', bodyWeight: '700' },
+    padding: 64,
+    frame: { radius: 40, width: 6, shadow: true },
+    bullet: 'dot'
+  }
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+export const DEFAULT_THEME = THEMES[process.env.DEFAULT_THEME] ? process.env.DEFAULT_THEME : 'classic';
+
+export function isThemeName(value) {
+  return typeof value === 'string' && Object.hasOwn(THEMES, value);
+}
+
+// Accepts a theme name or an already resolved theme object; anything else gets the default theme.
+export function resolveTheme(value) {
+  if (value && typeof value === 'object' && value.colors) return value;
+  return THEMES[isThemeName(value) ? value : DEFAULT_THEME];
+}
+
+export function listThemes() {
+  return THEME_NAMES.map((name) => {
+    const { label, description, colors, background, fonts, bullet } = THEMES[name];
+    return { name, label, description, colors, background, fonts, bullet };
+  });
+}
+
+// Brand kit colors and font family on top of a theme. A brand background replaces any gradient but
+// keeps the theme's texture.
+export function applyBrandKit(theme, brand) {
+  if (!brand) return theme;
+  const palette = brand.palette || {};
+  const colors = {
+    ...theme.colors,
+    ...(palette.background ? { background: palette.background } : {}),
+    ...(palette.foreground ? { foreground: palette.foreground } : {}),
+    ...(palette.accent ? { accent: palette.accent } : {}),
+    ...(palette.chart?.length ? { chart: palette.chart } : {})
+  };
+  return {
+    ...theme,
+    colors,
+    background: palette.background ? { type: 'solid', texture: theme.background.texture } : theme.background,
+    fonts: brand.fontFamily ? { ...theme.fonts, family: brand.fontFamily } : theme.fonts
+  };
+}
@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { Agent } from 'undici';
+import { delay, withTimeout } from './abort-utils.js';
 
 const ELEVENLABS_ENDPOINT = 'https://api.elevenlabs.io/v1';
 const MAX_TTS_ATTEMPTS = 3;
@@ -18,7 +19,7 @@ const TTS_AGENT = new Agent({
   bodyTimeout: 0
 });
 
-export async function synthesizeHeadline({ headline, index, outputDir, apiKey, voiceId }) {
+export async function synthesizeHeadline({ headline, index, outputDir, apiKey, voiceId, signal }) {
   const keyManager = createKeyManager(resolveElevenLabsKeys(apiKey));
   const voiceManager = createVoiceManager(resolveElevenLabsVoiceIds(voiceId));
 
@@ -42,6 +43,7 @@ export async function synthesizeHeadline({ headline, index, outputDir, apiKey, v
 
   let lastError;
   while (true) {
+    signal?.throwIfAborted();
     const currentKey = keyManager.current();
     const currentVoiceId = voiceManager.current();
     if (!currentKey) {
@@ -74,7 +76,7 @@ export async function synthesizeHeadline({ headline, index, outputDir, apiKey, v
           },
           body: JSON.stringify(body),
           dispatcher: TTS_AGENT,
-          signal: AbortSignal.timeout(70_000)
+          signal: withTimeout(signal, 70_000)
         });
 
         if (!response.ok) {
@@ -113,6 +115,7 @@ export async function synthesizeHeadline({ headline, index, outputDir, apiKey, v
 
         return { filePath, duration };
       } catch (err) {
+        signal?.throwIfAborted();
         const error = err instanceof Error ? err : new Error(String(err));
         lastError = error;
 
@@ -131,7 +134,7 @@ export async function synthesizeHeadline({ headline, index, outputDir, apiKey, v
           throw new Error(`ElevenLabs synthesis request failed: ${formatFetchError(error)}`);
         }
 
-        await delay(300 * attempt);
+        await delay(300 * attempt, signal);
       }
     }
 
@@ -272,7 +275,3 @@ function maskKey(key) {
   }
   return `${sanitized.slice(0, 4)}...${sanitized.slice(-4)}`;
 }
-
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
@@ -0,0 +1,222 @@
+import dns from 'node:dns';
+import net from 'node:net';
+import { Agent } from 'undici';
+import { withTimeout } from './abort-utils.js';
+
+const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 20_000;
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+const USER_AGENT = 'Mozilla/5.0 (compatible; pdf-to-video-jsoncut/0.1; +https://github.com/Gubydal/Sora-Webapp)';
+const ACCEPT = 'text/html,application/xhtml+xml,application/pdf;q=0.9,text/markdown;q=0.8,text/plain;q=0.8,*/*;q=0.5';
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and other reserved ranges.
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_RANGES.check(address, 'ipv4');
+  if (family !== 6) return true;
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? BLOCKED_RANGES.check(mapped[1], 'ipv4') : BLOCKED_RANGES.check(address, 'ipv6');
+}
+
+export function createUrlFetcher(options = {}) {
+  const maxBytes = normalizePositiveInt(options.maxBytes ?? process.env.URL_FETCH_MAX_BYTES, DEFAULT_MAX_BYTES);
+  const maxRedirects = normalizeNonNegativeInt(
+    options.maxRedirects ?? process.env.URL_FETCH_MAX_REDIRECTS,
+    DEFAULT_MAX_REDIRECTS
+  );
+  const timeout = normalizePositiveInt(options.timeout ?? process.env.URL_FETCH_TIMEOUT_MS, DEFAULT_TIMEOUT_MS);
+  const allowPrivate = options.allowPrivate ?? process.env.URL_FETCH_ALLOW_PRIVATE === 'true';
+
+  // Addresses are checked when the socket connects, after DNS resolution, so a hostname cannot be
+  // pointed at an internal service (including by re-resolving between redirects).
+  const dispatcher = new Agent({
+    connect: {
+      lookup(hostname, lookupOptions, callback) {
+        dns.lookup(hostname, { ...lookupOptions, all: true }, (err, addresses) => {
+          if (err) return callback(err);
+          const blocked = allowPrivate ? null : addresses.find((entry) => isBlockedAddress(entry.address));
+          if (blocked) {
+            return callback(fetchError(`${hostname} resolves to a private or reserved address (${blocked.address})`, 400));
+          }
+          if (lookupOptions.all) return callback(null, addresses);
+          return callback(null, addresses[0].address, addresses[0].family);
+        });
+      }
+    }
+  });
+
+  async function fetchDocument(input, { signal } = {}) {
+    let url = parseTarget(input);
+    let redirects = 0;
+    const requestSignal = withTimeout(signal, timeout);
+
+    while (true) {
+      let response;
+      try {
+        response = await fetch(url, {
+          headers: { 'User-Agent': USER_AGENT, Accept: ACCEPT },
+          redirect: 'manual',
+          dispatcher,
+          signal: requestSignal
+        });
+      } catch (err) {
+        signal?.throwIfAborted();
+        throw describeFailure(err, url);
+      }
+
+      if (REDIRECT_STATUS_CODES.has(response.status)) {
+        await response.body?.cancel().catch(() => {});
+        const location = response.headers.get('location');
+        if (!location) throw fetchError(`${url.host} answered ${response.status} without a Location header`, 502);
+        if (redirects >= maxRedirects) {
+          throw fetchError(`Too many redirects (more than ${maxRedirects})`, 400);
+        }
+        redirects += 1;
+        url = parseTarget(new URL(location, url).href);
+        continue;
+      }
+
+      if (!response.ok) {
+        await response.body?.cancel().catch(() => {});
+        throw fetchError(`Fetching ${url.href} failed (${response.status})`, 502);
+      }
+
+      const declared = Number(response.headers.get('content-length'));
+      if (Number.isFinite(declared) && declared > maxBytes) {
+        await response.body?.cancel().catch(() => {});
+        throw fetchError(`Document is larger than the ${formatBytes(maxBytes)} limit`, 413);
+      }
+
+      let buffer;
+      try {
+        buffer = await readLimited(response.body, maxBytes);
+      } catch (err) {
+        signal?.throwIfAborted();
+        throw err.status ? err : describeFailure(err, url);
+      }
+      return {
+        buffer,
+        contentType: response.headers.get('content-type') || '',
+        url: url.href,
+        redirects
+      };
+    }
+  }
+
+  function parseTarget(input) {
+    let url;
+    try {
+      url = new URL(String(input || '').trim());
+    } catch {
+      throw fetchError('A valid http(s) URL is required', 400);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw fetchError('Only http and https URLs are supported', 400);
+    }
+    if (url.username || url.password) {
+      throw fetchError('URLs with embedded credentials are not supported', 400);
+    }
+    // IP literals never go through the DNS lookup above, so they are checked here.
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(host) && isBlockedAddress(host)) {
+      throw fetchError(`${url.hostname} is a private or reserved address`, 400);
+    }
+    url.hash = '';
+    return url;
+  }
+
+  return {
+    maxBytes,
+    maxRedirects,
+    allowPrivate,
+    fetchDocument
+  };
+}
+
+// Charset from the Content-Type header or a <meta charset> tag, falling back to UTF-8.
+export function decodeTextBody(buffer, contentType = '') {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const charset = (
+    contentType.match(/charset=["']?([\w-]+)/i)?.[1] ||
+    head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1] ||
+    'utf-8'
+  ).toLowerCase();
+  try {
+    return new TextDecoder(charset).decode(buffer).replace(/^\ufeff/, '');
+  } catch {
+    return buffer.toString('utf8').replace(/^\ufeff/, '');
+  }
+}
+
+async function readLimited(body, maxBytes) {
+  if (!body) return Buffer.alloc(0);
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of body) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      // Leaving the loop cancels the stream, so the rest of the body is never downloaded.
+      throw fetchError(`Document is larger than the ${formatBytes(maxBytes)} limit`, 413);
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+function describeFailure(err, url) {
+  if (err?.cause?.status) return err.cause;
+  if (err?.name === 'TimeoutError' || err?.name === 'AbortError') {
+    return fetchError(`Fetching ${url.href} timed out`, 504);
+  }
+  const code = err?.cause?.code || err?.code;
+  const detail = code === 'ENOTFOUND' ? `${url.hostname} could not be resolved` : err?.cause?.message || err?.message;
+  return fetchError(`Fetching ${url.href} failed: ${detail || 'network error'}`, 502, err);
+}
+
+function fetchError(message, status, cause) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.status = status;
+  return error;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function normalizePositiveInt(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+function normalizeNonNegativeInt(value, fallback) {
+  const num = Math.floor(Number(value));
+  return Number.isFinite(num) && num >= 0 ? num : fallback;
+}
@@ -1,36 +1,73 @@
 ﻿import 'dotenv/config';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
 import path from 'path';
 import express from 'express';
 import multer from 'multer';
-import { randomUUID } from 'crypto';
 
-import { summarizeToSlides } from './lib/summarize.js';
+import { PLANNER_VERSION, SlideSchema, SummarySchema, attachFigures, summarizeToSlides } from './lib/summarize.js';
 import { selectIllustrationAsset } from './lib/supabase-assets.js';
 import { synthesizeHeadline } from './lib/tts.js';
 import { buildSilentVoiceover, buildVoiceover } from './lib/audio-stitch.js';
 import { renderLocalVideo } from './lib/local-render.js';
-import { renderSlideSVG } from './slide-svg.js';
+import { RENDERER_VERSION, canRenderChart, renderSlideSVG } from './slide-svg.js';
 import { createLongcatClient } from './lib/longcat.js';
-import { pdfBufferToPlainText } from './lib/document-text.js';
+import {
+  SUPPORTED_DOCUMENT_FORMATS,
+  detectDocumentFormat,
+  documentBufferToPlainText,
+  documentError,
+  formatPageRanges,
+  pageInRanges,
+  parsePageRanges,
+  parseSectionTitles,
+  selectDocumentText
+} from './lib/document-text.js';
+import { createThumbnail } from './lib/image-utils.js';
+import { DEFAULT_LAYOUT, layoutMedia, listLayouts, resolveLayout } from './lib/layouts.js';
+import { normalizeOrientation } from './lib/orientations.js';
+import { DEFAULT_THEME, THEME_NAMES, applyBrandKit, isThemeName, listThemes, resolveTheme } from './lib/themes.js';
+import { MAX_BRAND_FONTS, createBrandKitStore } from './lib/brand-kits.js';
+import { createJobQueue } from './lib/job-queue.js';
+import { createRenderStore } from './lib/render-store.js';
+import { createApiAuth } from './lib/api-auth.js';
+import { createCorsMiddleware } from './lib/cors.js';
+import { createPipelineCache, hashBuffer } from './lib/pipeline-cache.js';
+import { createPdfOcr } from './lib/pdf-ocr.js';
+import { extractPdfFigures } from './lib/pdf-images.js';
+import { createUrlFetcher, decodeTextBody } from './lib/url-fetch.js';
+import { extractArticle } from './lib/article-extract.js';
 
 const app = express();
-app.use((req, res, next) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  next();
-});
+const apiAuth = createApiAuth();
+app.use(createCorsMiddleware());
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 app.use('/assets', express.static('assets'));
+// The dashboard's PDF thumbnails load pdf.js from here rather than a CDN, so no third-party script
+// runs on a page that keeps the API key in localStorage.
+app.use('/vendor/pdfjs', express.static('node_modules/pdfjs-dist/build'));
+app.use('/api', apiAuth.authenticate);
 const upload = multer({ limits: { fileSize: 25 * 1024 * 1024 } });
+// Several `document` files are planned into one video; `pdf` is the original single-file field name.
+const MAX_DOCUMENTS = 10;
+const uploadDocument = upload.fields([
+  { name: 'document', maxCount: MAX_DOCUMENTS },
+  { name: 'pdf', maxCount: 1 }
+]);
+const uploadBrandKit = multer({ limits: { fileSize: 10 * 1024 * 1024 } }).fields([
+  { name: 'logo', maxCount: 1 },
+  { name: 'font', maxCount: MAX_BRAND_FONTS }
+]);
 
 const FPS = +process.env.VIDEO_FPS || 30;
 const FORMAT = process.env.VIDEO_FORMAT || 'mp4';
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
 const ELEVENLABS_VOICE_ID = process.env.ELEVENLABS_VOICE_ID;
 const DEFAULT_ORIENTATION = normalizeOrientation(process.env.DEFAULT_ORIENTATION || '9:16');
+// Long documents are condensed part by part by the planner; this cap only bounds memory use.
+const MAX_TEXT_CHARS = 1_000_000;
+const PDF_MAX_PAGES = +process.env.PDF_MAX_PAGES || 500;
 
 const ORIENTATIONS = {
   '9:16': {
@@ -40,327 +77,1128 @@ const ORIENTATIONS = {
   '16:9': {
     width: +process.env.HORIZONTAL_WIDTH || 1920,
     height: +process.env.HORIZONTAL_HEIGHT || 1080
+  },
+  '1:1': {
+    width: +process.env.SQUARE_WIDTH || 1080,
+    height: +process.env.SQUARE_HEIGHT || 1080
+  },
+  '4:5': {
+    width: +process.env.PORTRAIT_WIDTH || 1080,
+    height: +process.env.PORTRAIT_HEIGHT || 1350
   }
 };
 
 const longcat = createLongcatClient();
-const RENDERS_DIR = path.resolve('tmp', 'renders');
-const downloadStore = new Map();
-
-app.options('/api/create-video', (req, res) => {
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.sendStatus(204);
+const renderStore = createRenderStore();
+const brandKits = createBrandKitStore();
+const pipelineCache = createPipelineCache();
+const pdfOcr = createPdfOcr();
+const urlFetcher = createUrlFetcher();
+const jobQueue = createJobQueue();
+
+app.post('/api/create-video', apiAuth.renderQuota, acceptDocuments, (req, res) => {
+  const received = receiveDocuments(req);
+  if (received.error) return res.status(received.status).json({ error: received.error });
+  if (!ELEVENLABS_API_KEY || !ELEVENLABS_VOICE_ID) {
+    return res.status(400).json({ error: 'Server is missing speech API keys' });
+  }
+
+  const { documents } = received;
+  const requested = receiveSelection(req.body, documents);
+  if (requested.error) return res.status(requested.status).json({ error: requested.error });
+  const { selection } = requested;
+  const themed = readTheme(req.body);
+  if (themed.error) return res.status(themed.status).json({ error: themed.error });
+  const { theme } = themed;
+  const branded = readBrandKit(req.body);
+  if (branded.error) return res.status(branded.status).json({ error: branded.error });
+  const { brand } = branded;
+  const orientation = normalizeOrientation(req.body?.orientation || DEFAULT_ORIENTATION);
+  const sourceCaptions = isEnabled(req.body?.sourceCaptions);
+  const job = jobQueue.enqueue(
+    (current, signal) =>
+      runCreateVideoJob(current, { documents, selection, orientation, theme, brand, sourceCaptions, signal }),
+    {
+      filename: describeFilenames(documents),
+      format: describeFormats(documents),
+      orientation,
+      theme,
+      brandKit: brand?.id ?? null
+    }
+  );
+
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    state: job.state,
+    queuePosition: jobQueue.queuePosition(job.id),
+    statusUrl: `/api/jobs/${encodeURIComponent(job.id)}`,
+    eventsUrl: signUrl(req, `/api/jobs/${encodeURIComponent(job.id)}/events`),
+    ...describeSelection(selection)
+  });
 });
 
-app.post('/api/create-video', upload.single('pdf'), async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No PDF provided' });
+app.post('/api/create-video-from-url', apiAuth.renderQuota, upload.none(), async (req, res) => {
   if (!ELEVENLABS_API_KEY || !ELEVENLABS_VOICE_ID) {
     return res.status(400).json({ error: 'Server is missing speech API keys' });
   }
+  const themed = readTheme(req.body);
+  if (themed.error) return res.status(themed.status).json({ error: themed.error });
+  const { theme } = themed;
+  const branded = readBrandKit(req.body);
+  if (branded.error) return res.status(branded.status).json({ error: branded.error });
+  const { brand } = branded;
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const document = await fetchUrlDocument(req.body?.url, {
+    password: readPassword(req.body),
+    signal: controller.signal
+  }).catch((err) => {
+    if (controller.signal.aborted) return null;
+    throw err;
+  });
+  if (!document) return undefined;
+  if (document.error) return res.status(document.status).json({ error: document.error });
+  const requested = receiveSelection(req.body, [document]);
+  if (requested.error) return res.status(requested.status).json({ error: requested.error });
+  const { selection } = requested;
 
   const orientation = normalizeOrientation(req.body?.orientation || DEFAULT_ORIENTATION);
+  const sourceCaptions = isEnabled(req.body?.sourceCaptions);
+  const job = jobQueue.enqueue(
+    (current, signal) =>
+      runCreateVideoJob(current, {
+        documents: [document],
+        selection,
+        orientation,
+        theme,
+        brand,
+        sourceCaptions,
+        signal
+      }),
+    {
+      filename: document.filename,
+      format: document.format,
+      orientation,
+      theme,
+      brandKit: brand?.id ?? null,
+      sourceUrl: document.source.url
+    }
+  );
+
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    state: job.state,
+    queuePosition: jobQueue.queuePosition(job.id),
+    statusUrl: `/api/jobs/${encodeURIComponent(job.id)}`,
+    eventsUrl: signUrl(req, `/api/jobs/${encodeURIComponent(job.id)}/events`),
+    sourceUrl: document.source.url,
+    ...describeSelection(selection)
+  });
+});
+
+app.post('/api/plan', apiAuth.renderQuota, acceptDocuments, (req, res) => {
+  const received = receiveDocuments(req);
+  if (received.error) return res.status(received.status).json({ error: received.error });
+  const { documents } = received;
+  const requested = receiveSelection(req.body, documents);
+  if (requested.error) return res.status(requested.status).json({ error: requested.error });
+  const { selection } = requested;
+
+  const job = jobQueue.enqueue((current, signal) => runPlanJob(current, { documents, selection, signal }), {
+    filename: describeFilenames(documents),
+    format: describeFormats(documents)
+  });
+
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    state: job.state,
+    queuePosition: jobQueue.queuePosition(job.id),
+    statusUrl: `/api/jobs/${encodeURIComponent(job.id)}`,
+    eventsUrl: signUrl(req, `/api/jobs/${encodeURIComponent(job.id)}/events`),
+    ...describeSelection(selection)
+  });
+});
+
+app.post('/api/render', apiAuth.renderQuota, (req, res) => {
+  if (!ELEVENLABS_API_KEY || !ELEVENLABS_VOICE_ID) {
+    return res.status(400).json({ error: 'Server is missing speech API keys' });
+  }
+
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const parsed = SummarySchema.safeParse(body.plan ?? body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid slide plan', issues: formatIssues(parsed.error) });
+  }
+
+  const themed = readTheme(body);
+  if (themed.error) return res.status(themed.status).json({ error: themed.error });
+  const { theme } = themed;
+  const branded = readBrandKit(body);
+  if (branded.error) return res.status(branded.status).json({ error: branded.error });
+  const { brand } = branded;
+
+  const summary = parsed.data;
+  const orientation = normalizeOrientation(body.orientation || DEFAULT_ORIENTATION);
+  const sourceCaptions = isEnabled(body.sourceCaptions);
+  const job = jobQueue.enqueue(
+    (current, signal) => runRenderPlanJob(current, { summary, orientation, theme, brand, sourceCaptions, signal }),
+    {
+      filename: typeof body.sourceFilename === 'string' ? body.sourceFilename : null,
+      orientation,
+      theme,
+      brandKit: brand?.id ?? null
+    }
+  );
+
+  return res.status(202).json({
+    ok: true,
+    jobId: job.id,
+    state: job.state,
+    queuePosition: jobQueue.queuePosition(job.id),
+    statusUrl: `/api/jobs/${encodeURIComponent(job.id)}`,
+    eventsUrl: signUrl(req, `/api/jobs/${encodeURIComponent(job.id)}/events`)
+  });
+});
+
+app.post('/api/slide-preview', async (req, res) => {
+  const parsed = SlideSchema.safeParse(req.body?.slide);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'Invalid slide', issues: formatIssues(parsed.error) });
+  }
+
+  const themed = readTheme(req.body);
+  if (themed.error) return res.status(themed.status).json({ error: themed.error });
+  const branded = readBrandKit(req.body);
+  if (branded.error) return res.status(branded.status).json({ error: branded.error });
+
+  const slide = parsed.data;
+  const orientation = normalizeOrientation(req.body.orientation || DEFAULT_ORIENTATION);
   const { width, height } = ORIENTATIONS[orientation];
+  const sources = SummarySchema.shape.sources.safeParse(req.body.sources);
+  const media = layoutMedia(resolveLayout(slide.layout, slide, { hasImage: true }));
+  const chart = media === 'frame' && canRenderChart(slide.chart) ? slide.chart : null;
+  try {
+    const png = await renderSlideSVG({
+      width,
+      height,
+      orientation,
+      theme: themed.theme,
+      brand: branded.brand,
+      headline: slide.headline,
+      paragraphs: buildSlideNarrativeLines(slide),
+      showFrame: true,
+      showBullets: true,
+      caption: isEnabled(req.body.sourceCaptions) ? sourceCaption(slide, sources.success ? sources.data : null) : null,
+      chart,
+      layout: slide.layout,
+      ...slideLayoutFields(slide),
+      imageBuffer: chart || media === 'none' ? null : await loadFigure(slide.figure)
+    });
+    res.set('Cache-Control', 'no-store');
+    return res.type('png').send(png);
+  } catch (err) {
+    console.error('Slide preview failed', err);
+    return res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+app.get('/api/themes', (req, res) => {
+  return res.json({ ok: true, default: DEFAULT_THEME, themes: listThemes() });
+});
+
+app.get('/api/layouts', (req, res) => {
+  return res.json({ ok: true, default: DEFAULT_LAYOUT, layouts: listLayouts() });
+});
+
+app.get('/api/brand-kits', (req, res) => {
+  return res.json({ ok: true, brandKits: brandKits.list().map((kit) => serializeBrandKit(kit, req)) });
+});
+
+app.post('/api/brand-kits', acceptBrandKit, async (req, res) => {
+  try {
+    const kit = await brandKits.create(readBrandKitFields(req));
+    return res.status(201).json({ ok: true, brandKit: serializeBrandKit(kit, req) });
+  } catch (err) {
+    return sendBrandKitError(res, err);
+  }
+});
+
+app.get('/api/brand-kits/:id', (req, res) => {
+  const kit = brandKits.get(String(req.params.id || ''));
+  if (!kit) return res.status(404).json({ error: 'Brand kit not found' });
+  return res.json({ ok: true, brandKit: serializeBrandKit(kit, req) });
+});
+
+app.patch('/api/brand-kits/:id', acceptBrandKit, async (req, res) => {
+  try {
+    const kit = await brandKits.update(String(req.params.id || ''), readBrandKitFields(req));
+    if (!kit) return res.status(404).json({ error: 'Brand kit not found' });
+    return res.json({ ok: true, brandKit: serializeBrandKit(kit, req) });
+  } catch (err) {
+    return sendBrandKitError(res, err);
+  }
+});
+
+app.delete('/api/brand-kits/:id', async (req, res) => {
+  const removed = await brandKits.remove(String(req.params.id || ''));
+  if (!removed) return res.status(404).json({ error: 'Brand kit not found' });
+  return res.json({ ok: true });
+});
+
+app.get('/api/brand-kits/:id/logo', (req, res) => {
+  const kit = brandKits.get(String(req.params.id || ''));
+  if (!kit?.logoPath) return res.status(404).send('Logo not found');
+  res.sendFile(kit.logoPath, { headers: { 'Content-Type': 'image/png', 'Cache-Control': 'no-cache' } }, (err) => {
+    if (err && !res.headersSent) res.status(404).send('Logo not found');
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(String(req.params.id || ''));
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  return res.json(serializeJob(job, req));
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(String(req.params.id || ''));
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (isJobFinished(job)) {
+    return res.status(409).json({ error: `Job already ${job.state}`, ...serializeJob(job, req) });
+  }
+
+  if (job.state === 'queued') {
+    // Queued jobs never reach the pipeline, so record the cancellation here.
+    jobQueue.report(job, { step: 'analyze', status: 'cancelled', detail: 'Cancelled before processing started' });
+  }
+  jobQueue.cancel(job.id);
+  // Running jobs finish unwinding asynchronously; clients follow the job until it reports `cancelled`.
+  return res.status(job.state === 'cancelled' ? 200 : 202).json(serializeJob(job, req));
+});
+
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(String(req.params.id || ''));
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const sendEvent = (event, data, id) => {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const finish = () => {
+    sendEvent('done', serializeJob(job, req));
+    res.end();
+  };
+
+  // EventSource reconnects send the last progress index they saw; replay only newer entries.
+  const lastEventId = Number.parseInt(req.get('Last-Event-ID') ?? '', 10);
+  const replayFrom = Number.isFinite(lastEventId) ? lastEventId + 1 : 0;
+  job.progress.slice(replayFrom).forEach((entry, offset) => {
+    sendEvent('progress', entry, replayFrom + offset);
+  });
+  sendEvent('state', { state: job.state, queuePosition: jobQueue.queuePosition(job.id) });
+
+  if (isJobFinished(job)) {
+    return finish();
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = jobQueue.subscribe(job.id, (event) => {
+    if (event.type === 'progress') {
+      sendEvent('progress', event.entry, event.index);
+    } else if (event.type === 'state') {
+      sendEvent('state', { state: job.state, queuePosition: jobQueue.queuePosition(job.id) });
+      if (isJobFinished(job)) {
+        finish();
+      }
+    }
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+async function runCreateVideoJob(job, { documents, selection, orientation, theme, brand, sourceCaptions, signal }) {
+  return runPipelineJob(job, signal, async (requestDir, report) => {
+    documents.forEach((document) => {
+      if (document.source) {
+        report({ step: 'analyze', status: 'info', detail: describeUrlSource(document.source) });
+      }
+    });
+    const summary = await planDocument({ documents, selection, signal, report });
+    const rendered = await renderSlidePlan(job, {
+      summary,
+      orientation,
+      theme,
+      brand,
+      sourceCaptions,
+      signal,
+      requestDir,
+      report
+    });
+    return summary.selection ? { ...rendered, selection: summary.selection } : rendered;
+  });
+}
+
+async function runPlanJob(job, { documents, selection, signal }) {
+  return runPipelineJob(job, signal, async (requestDir, report) => {
+    const summary = await planDocument({ documents, selection, signal, report });
+    return {
+      plan: {
+        sourceFilename: describeFilenames(documents),
+        format: describeFormats(documents),
+        docTitle: summary.docTitle,
+        slides: summary.slides,
+        ...(summary.sources ? { sources: summary.sources } : {}),
+        ...(summary.selection ? { selection: summary.selection } : {}),
+        stats: summary.stats,
+        warnings: summary.warnings ?? [],
+        outline: summary.outline,
+        tables: summary.tables
+      }
+    };
+  });
+}
+
+async function runRenderPlanJob(job, { summary, orientation, theme, brand, sourceCaptions, signal }) {
+  return runPipelineJob(job, signal, async (requestDir, report) => {
+    report({
+      step: 'plan',
+      status: 'completed',
+      detail: `Using submitted plan with ${summary.slides.length} slides`
+    });
+    return renderSlidePlan(job, { summary, orientation, theme, brand, sourceCaptions, signal, requestDir, report });
+  });
+}
+
+async function runPipelineJob(job, signal, work) {
   const tmpRoot = path.resolve('tmp');
   await fs.mkdir(tmpRoot, { recursive: true });
   const requestDir = await fs.mkdtemp(path.join(tmpRoot, 'job-'));
-
-  const progress = [];
-  const slideLogs = [];
+  const report = (entry) => jobQueue.report(job, entry);
 
   try {
-    progress.push({ step: 'analyze', status: 'started' });
-    const { text: rawText, pageCount } = await pdfBufferToPlainText(req.file.buffer);
-    const text = sanitizeAndClamp(rawText, 20000);
-    if (!text.trim()) {
-      throw new Error('Unable to extract usable text from PDF');
-    }
-    progress.push({ step: 'analyze', status: 'completed', detail: `Extracted ${text.length} chars` });
-    const excerpt = text.slice(0, 180).replace(/\s+/g, ' ').trim();
-    if (excerpt) {
-      progress.push({ step: 'analyze', status: 'info', detail: `Excerpt: ${excerpt}` });
+    return await work(requestDir, report);
+  } catch (err) {
+    const lastStep = [...job.progress].reverse().find((entry) => entry.status === 'started');
+    if (signal.aborted) {
+      report({
+        step: lastStep?.step || 'analyze',
+        status: 'cancelled',
+        detail: 'Job cancelled; in-flight work stopped'
+      });
+      throw err;
     }
+    console.error(err);
+    report({
+      step: lastStep?.step || 'analyze',
+      status: 'error',
+      detail: err?.message || String(err)
+    });
+    throw err;
+  } finally {
+    await safeRemove(requestDir);
+  }
+}
 
-    progress.push({ step: 'plan', status: 'started' });
-    const summary = await summarizeToSlides({ longcat, text });
-    if (Array.isArray(summary.warnings) && summary.warnings.length) {
-      summary.warnings.forEach((warning) => {
-        progress.push({ step: 'plan', status: 'info', detail: warning });
-      });
+async function planDocument({ documents, selection = null, signal, report }) {
+  const multiple = documents.length > 1;
+  report({
+    step: 'analyze',
+    status: 'started',
+    detail: multiple
+      ? `Reading ${documents.length} documents (${documents.map((document) => document.format.toUpperCase()).join(', ')})`
+      : `Reading ${documents[0].format.toUpperCase()} document`
+  });
+  const sources = [];
+  for (const [index, document] of documents.entries()) {
+    // With several documents every detail line says which source it is about.
+    const label = multiple ? `Source ${index + 1} (${document.filename || document.format})` : null;
+    const sourceReport = label ? (entry) => report({ ...entry, detail: `${label}: ${entry.detail}` }) : report;
+    sources.push({
+      document,
+      report: sourceReport,
+      ...(await extractDocument({ document, selection, label, signal, report: sourceReport }))
+    });
+  }
+  signal.throwIfAborted();
+
+  const totalChars = sources.reduce((sum, source) => sum + source.text.length, 0);
+  report({
+    step: 'analyze',
+    status: 'completed',
+    detail: multiple ? `Extracted ${totalChars} chars from ${sources.length} documents` : `Extracted ${totalChars} chars`
+  });
+  sources.forEach((source) => describeExtraction(source, source.report));
+
+  const withSource = (entries, index) => (multiple ? entries.map((entry) => ({ ...entry, source: index + 1 })) : entries);
+  const outline = sources.flatMap((source, index) => withSource(source.outline, index));
+  const tables = sources.flatMap((source, index) => withSource(source.tables, index));
+
+  report({ step: 'plan', status: 'started' });
+  const summaryKey = multiple
+    ? { documents: sources.map((source) => source.textKey), maxChars: MAX_TEXT_CHARS, planner: PLANNER_VERSION }
+    : { ...sources[0].textKey, maxChars: MAX_TEXT_CHARS, planner: PLANNER_VERSION };
+  let summary = await pipelineCache.getJson('summary', summaryKey);
+  let figureBuffers = null;
+  if (summary) {
+    report({ step: 'plan', status: 'info', detail: 'Cache hit: reused slide plan' });
+  } else {
+    summary = await summarizeToSlides({
+      longcat,
+      ...(multiple
+        ? {
+            sources: sources.map((source) => ({
+              name: source.document.filename,
+              format: source.document.format,
+              pageCount: source.pageCount,
+              text: source.text,
+              outline: source.outline,
+              pages: source.pages,
+              tables: source.tables
+            }))
+          }
+        : { text: sources[0].text, outline, pages: sources[0].pages, tables }),
+      signal,
+      onProgress: (detail) => report({ step: 'plan', status: 'info', detail })
+    });
+    if (sources.some((source) => source.document.format === 'pdf')) {
+      const figures = [];
+      for (const [index, source] of sources.entries()) {
+        if (source.document.format !== 'pdf') continue;
+        const sourceNumber = multiple ? index + 1 : null;
+        const found = await extractDocumentFigures({
+          buffer: source.document.buffer,
+          password: source.document.password,
+          documentHash: source.textKey.document,
+          slides: summary.slides.filter((slide) => (slide.source ?? null) === sourceNumber),
+          skipPages: source.ocr ? source.ocr.pages.filter((entry) => entry.chars > 0).map((entry) => entry.page) : [],
+          signal,
+          report: source.report
+        });
+        figures.push(...found.map((figure) => (sourceNumber ? { ...figure, source: sourceNumber } : figure)));
+      }
+      summary = { ...summary, slides: attachFigures(summary.slides, figures) };
+      figureBuffers = new Map(figures.map((figure) => [figure.id, figure.buffer]));
     }
-    const slides = summary.slides;
-    slides.forEach((slide, idx) => {
-      const paragraphPreview = (slide?.paragraph || '').replace(/\s+/g, ' ').trim().slice(0, 160);
-      const bulletPreview = Array.isArray(slide?.bullets) && slide.bullets.length
-        ? slide.bullets.map((entry) => String(entry || '').trim()).filter(Boolean).slice(0, 2).join(' | ').slice(0, 160)
-        : '';
-      const detailParts = [
-        `Slide ${idx + 1}: ${slide?.headline || '(no headline)'}`,
-        paragraphPreview ? `Paragraph: ${paragraphPreview}` : 'Paragraph: <empty>',
-        bulletPreview ? `Bullets: ${bulletPreview}` : null
-      ].filter(Boolean);
-      progress.push({ step: 'plan', status: 'info', detail: detailParts.join(' · ') });
+    // Heuristic fallbacks stand in for an unreachable Longcat; retry the real planner next time.
+    if (!summary.stats?.heuristicFallback) {
+      await pipelineCache.setJson('summary', summaryKey, summary);
+    }
+  }
+  if (Array.isArray(summary.warnings) && summary.warnings.length) {
+    summary.warnings.forEach((warning) => {
+      report({ step: 'plan', status: 'info', detail: warning });
     });
-    progress.push({
+  }
+  const slides = summary.slides;
+  const figureSlides = slides.map((slide, idx) => (slide.figure ? idx + 1 : null)).filter(Boolean);
+  if (figureSlides.length) {
+    report({
       step: 'plan',
-      status: 'completed',
-      detail: `${slides.length} slides planned`
+      status: 'info',
+      detail: `Figures: document images attached to slide${figureSlides.length === 1 ? '' : 's'} ${figureSlides.join(', ')}`
+    });
+  }
+  slides.forEach((slide, idx) => {
+    const paragraphPreview = (slide?.paragraph || '').replace(/\s+/g, ' ').trim().slice(0, 160);
+    const bulletPreview = Array.isArray(slide?.bullets) && slide.bullets.length
+      ? slide.bullets.map((entry) => String(entry || '').trim()).filter(Boolean).slice(0, 2).join(' | ').slice(0, 160)
+      : '';
+    const detailParts = [
+      `Slide ${idx + 1}: ${slide?.headline || '(no headline)'}`,
+      multiple ? sourceCaption(slide, summary.sources) : null,
+      paragraphPreview ? `Paragraph: ${paragraphPreview}` : 'Paragraph: <empty>',
+      bulletPreview ? `Bullets: ${bulletPreview}` : null
+    ].filter(Boolean);
+    report({ step: 'plan', status: 'info', detail: detailParts.join(' · ') });
+  });
+  report({
+    step: 'plan',
+    status: 'completed',
+    detail: `${slides.length} slides planned${multiple ? ` from ${sources.length} documents` : ''}`
+  });
+  // figureBuffers lets this job render figures even when the pipeline cache is disabled.
+  return {
+    ...summary,
+    outline,
+    tables,
+    figureBuffers,
+    ...(sources[0].selection ? { selection: sources[0].selection } : {})
+  };
+}
+
+// Text extraction (with the OCR fallback) for one document, cached by its content hash.
+// A page selection limits OCR to those pages, so it is part of the cache key. So is the password:
+// text read from an encrypted PDF must not be served to a request that cannot open it.
+async function extractDocument({ document, selection, label, signal, report }) {
+  const { buffer, format, password } = document;
+  const pageRanges = selection?.pageRanges || [];
+  const sections = selection?.sections || [];
+  const documentHash = hashBuffer(buffer);
+  const textKey = {
+    document: documentHash,
+    format,
+    ...(pageRanges.length ? { pages: formatPageRanges(pageRanges) } : {}),
+    ...(password ? { password: hashBuffer(`${documentHash}:${password}`) } : {})
+  };
+  let extracted = await pipelineCache.getJson('text', textKey);
+  if (extracted) {
+    report({ step: 'analyze', status: 'info', detail: 'Cache hit: reused extracted text' });
+  } else {
+    extracted = await documentBufferToPlainText(buffer, { format, password, maxPages: PDF_MAX_PAGES }).catch((err) => {
+      if (label && err.code) err.message = `${label}: ${err.message}`;
+      throw err;
     });
+    const scannedPages = format === 'pdf'
+      ? pdfOcr.scannedPages(extracted).filter((page) => !pageRanges.length || pageInRanges(page, pageRanges))
+      : [];
+    if (scannedPages.length) {
+      report({
+        step: 'analyze',
+        status: 'info',
+        detail: `OCR: ${scannedPages.length} page${scannedPages.length === 1 ? '' : 's'} without a text layer, recognizing text`
+      });
+      extracted = await pdfOcr.recognize(buffer, extracted, {
+        pages: scannedPages,
+        password,
+        signal,
+        onPage: (entry) =>
+          report({
+            step: 'analyze',
+            status: 'info',
+            detail: entry.confidence === null
+              ? `OCR page ${entry.page}: no scanned image found`
+              : `OCR page ${entry.page}: ${entry.confidence}% confidence, ${entry.text.length} chars${entry.skipped ? ' (discarded, low confidence)' : ''}`
+          })
+      });
+    }
+    if (extracted.text) {
+      await pipelineCache.setJson('text', textKey, extracted);
+    }
+  }
+  signal.throwIfAborted();
+  if (extracted.text) {
+    extracted = selectDocumentText(extracted, { pageRanges, sections });
+  }
+  const { text: rawText, pageCount, outline = [], pages = [], tables = [], layout, ocr, selection: applied } = extracted;
+  const text = sanitizeAndClamp(rawText, MAX_TEXT_CHARS);
+  if (!text.trim()) {
+    const reason = ocr ? ' (OCR found no readable text)' : format === 'pdf' && !pdfOcr.enabled ? ' (no text layer; OCR is disabled)' : '';
+    throw documentError(
+      format === 'pdf' ? 'pdf_no_text' : 'document_no_text',
+      `Unable to extract usable text from ${label || `${format.toUpperCase()} document`}${reason}`,
+      422
+    );
+  }
+  return {
+    // The summary cache keys on this, so it names the sections as well as the pages.
+    textKey: sections.length ? { ...textKey, sections } : textKey,
+    text,
+    rawText,
+    pageCount,
+    outline,
+    pages,
+    tables,
+    layout,
+    ocr,
+    selection: applied
+  };
+}
 
-    progress.push({ step: 'generate-images', status: 'started' });
-    const mediaEntries = [];
-    for (let i = 0; i < slides.length; i += 1) {
-      const slide = slides[i];
-      const narrativeLines = buildSlideNarrativeLines(slide);
-      const filename = `slide-${i + 1}.png`;
-      const outputPath = path.join(requestDir, filename);
+function describeExtraction({ text, rawText, outline, tables, layout, ocr, selection }, report) {
+  if (selection) {
+    const parts = [
+      selection.pages ? `pages ${selection.pages}` : null,
+      selection.sections ? `sections ${selection.sections.map((title) => `"${title}"`).join(', ')}` : null
+    ].filter(Boolean);
+    report({
+      step: 'analyze',
+      status: 'info',
+      detail: `Selection: ${parts.join(', ')}; kept ${selection.chars} of ${selection.totalChars} chars${
+        selection.pageCount ? ` on ${selection.pageCount} page${selection.pageCount === 1 ? '' : 's'}` : ''
+      }${selection.missingSections ? `; no heading matched ${selection.missingSections.map((title) => `"${title}"`).join(', ')}` : ''}`
+    });
+  }
+  if (ocr) {
+    const recognizedPages = ocr.pages.filter((entry) => entry.chars > 0).length;
+    report({
+      step: 'analyze',
+      status: 'info',
+      detail: `OCR: recognized text on ${recognizedPages} of ${ocr.pages.length} scanned pages${
+        ocr.averageConfidence === null ? '' : `, average confidence ${ocr.averageConfidence}%`
+      }${ocr.skippedPages ? `; ${ocr.skippedPages} more pages skipped (OCR_MAX_PAGES)` : ''}`
+    });
+  }
+  if (rawText.length > MAX_TEXT_CHARS) {
+    report({
+      step: 'analyze',
+      status: 'info',
+      detail: `Document text truncated to the first ${MAX_TEXT_CHARS} of ${rawText.length} chars`
+    });
+  }
+  if (outline.length) {
+    report({
+      step: 'analyze',
+      status: 'info',
+      detail: `Outline: ${outline.length} heading${outline.length === 1 ? '' : 's'} (${outline
+        .slice(0, 5)
+        .map((entry) => entry.title)
+        .join(' | ')}${outline.length > 5 ? ' | ...' : ''})`
+    });
+  }
+  if (layout?.removedMarginLines || layout?.twoColumnPages) {
+    report({
+      step: 'analyze',
+      status: 'info',
+      detail: `Layout: removed ${layout.removedMarginLines} header/footer lines, ${layout.twoColumnPages} two-column page${layout.twoColumnPages === 1 ? '' : 's'} reordered`
+    });
+  }
+  if (tables.length) {
+    report({
+      step: 'analyze',
+      status: 'info',
+      detail: `Tables: ${tables.length} detected (${tables
+        .slice(0, 5)
+        .map((table) => `${table.title || 'untitled'}, page ${table.page}, ${table.rows.length} rows`)
+        .join(' | ')}${tables.length > 5 ? ' | ...' : ''})`
+    });
+  }
+  const excerpt = text.slice(0, 180).replace(/\s+/g, ' ').trim();
+  if (excerpt) {
+    report({ step: 'analyze', status: 'info', detail: `Excerpt: ${excerpt}` });
+  }
+}
 
-      let illustration = null;
-      let illustrationError = null;
+async function renderSlidePlan(
+  job,
+  { summary, orientation, theme = DEFAULT_THEME, brand = null, sourceCaptions = false, signal, requestDir, report }
+) {
+  const { width, height } = ORIENTATIONS[orientation];
+  const { colors, fonts } = applyBrandKit(resolveTheme(theme), brand);
+  const { slides } = summary;
+  const slideLogs = job.slides;
+
+  report({ step: 'generate-images', status: 'started' });
+  const mediaEntries = [];
+  let slideCacheHits = 0;
+  for (let i = 0; i < slides.length; i += 1) {
+    signal.throwIfAborted();
+    const slide = slides[i];
+    const narrativeLines = buildSlideNarrativeLines(slide);
+    const filename = `slide-${i + 1}.png`;
+    const outputPath = path.join(requestDir, filename);
+
+    // Chart data takes the frame first, then figures from the document itself, then stock art.
+    // Templates without a frame or backdrop skip the lookup; full-bleed falls back to standard
+    // when no image turns up.
+    const media = layoutMedia(resolveLayout(slide.layout, slide, { hasImage: true }));
+    const chart = media === 'frame' && canRenderChart(slide.chart) ? slide.chart : null;
+    let illustration = null;
+    let illustrationError = null;
+    if (media !== 'none' && !chart && slide.figure) {
+      const figureBuffer = await loadFigure(slide.figure, summary.figureBuffers);
+      if (figureBuffer) {
+        illustration = { buffer: figureBuffer, type: 'document-figure', path: slide.figure };
+      } else {
+        report({
+          step: 'generate-images',
+          status: 'info',
+          detail: `Slide ${i + 1}: document figure ${slide.figure} is no longer available; using stock art`
+        });
+      }
+    }
+    if (media !== 'none' && !chart && !illustration) {
       try {
         illustration = await selectIllustrationAsset({ slide, orientation });
       } catch (assetErr) {
         illustration = null;
         illustrationError = assetErr instanceof Error ? assetErr.message : String(assetErr);
         console.warn(`Illustration lookup failed for slide ${i + 1}:`, illustrationError);
-        progress.push({
+        report({
           step: 'generate-images',
           status: 'info',
           detail: `Slide ${i + 1}: falling back to SVG-only artwork (${illustrationError})`
         });
       }
+    }
+    const layout = resolveLayout(slide.layout, { ...slide, chart }, { hasImage: Boolean(illustration) });
+    const slideOptions = {
+      width,
+      height,
+      orientation,
+      theme,
+      brand,
+      headline: slide.headline,
+      paragraphs: narrativeLines,
+      showFrame: true,
+      showBullets: true,
+      caption: sourceCaptions ? sourceCaption(slide, summary.sources) : null,
+      chart,
+      layout,
+      ...slideLayoutFields(slide)
+    };
+    const slideKey = {
+      ...slideOptions,
+      image: illustration?.buffer ? hashBuffer(illustration.buffer) : null,
+      renderer: RENDERER_VERSION
+    };
+    const cachedSlide = await pipelineCache.getFile('slides', slideKey, 'png');
+    if (cachedSlide) {
+      await fs.copyFile(cachedSlide.path, outputPath);
+      slideCacheHits += 1;
+    } else {
       const slideBuffer = await renderSlideSVG({
-        width,
-        height,
-        orientation,
-        headline: slide.headline,
-        paragraphs: narrativeLines,
-        imageBuffer: illustration?.buffer ?? null,
-        showFrame: true,
-        showBullets: true
+        ...slideOptions,
+        imageBuffer: illustration?.buffer ?? null
       });
       await fs.writeFile(outputPath, slideBuffer);
+      await pipelineCache.putFile('slides', slideKey, slideBuffer, 'png');
+    }
 
-      const assetInfo = illustration
+    const assetInfo = chart
+      ? { type: 'chart', path: null }
+      : illustration
         ? { type: illustration.type || 'supabase-illustration', path: illustration.path || null }
         : { type: 'svg-only', path: null };
 
-      const isVertical = orientation === '9:16';
-      const imageLayer = {
-        type: 'image',
-        path: outputPath,
-        resizeMode: 'cover'
-      };
-
-      const layers = [
-        imageLayer,
-        {
-          type: 'title',
-          text: slide.headline,
-          fontFamily: 'Outfit',
-          googleFont: 'Outfit:700',
-          fontWeight: 700,
-          fontSize: isVertical ? 64 : 56,
-          textColor: '#F5EF77',
-          position: isVertical ? 'top' : 'top-left',
-          animation: { name: 'fadeInUp', start: 0, duration: 0.8 }
-        },
-        ...narrativeLines.map((text, idx) => ({
-          type: 'text',
-          text,
-          fontFamily: 'Outfit',
-          googleFont: 'Outfit:700',
-          fontWeight: 700,
-          fontSize: isVertical ? 32 : 30,
-          textColor: '#F5EF77',
-          position: isVertical ? 'top' : 'left',
-          animation: { name: 'fadeInUp', start: 0.4 + idx * 0.3, duration: 0.7 }
-        }))
-      ];
-
-      mediaEntries.push({
-        slide,
-        localPath: outputPath,
-        assetInfo,
-        jsonCut: {
-          frame: { width, height },
-          duration: 10,
-          transition: { name: 'fade', duration: 0.7 },
-          layers
-        }
-      });
+    const isVertical = orientation !== '16:9';
+    const imageLayer = {
+      type: 'image',
+      path: outputPath,
+      resizeMode: 'cover'
+    };
+
+    const layers = [
+      imageLayer,
+      {
+        type: 'title',
+        text: slide.headline,
+        fontFamily: fonts.family,
+        googleFont: `${fonts.family}:${fonts.headlineWeight}`,
+        fontWeight: Number(fonts.headlineWeight),
+        fontSize: isVertical ? 64 : 56,
+        textColor: colors.foreground,
+        position: isVertical ? 'top' : 'top-left',
+        animation: { name: 'fadeInUp', start: 0, duration: 0.8 }
+      },
+      ...narrativeLines.map((text, idx) => ({
+        type: 'text',
+        text,
+        fontFamily: fonts.family,
+        googleFont: `${fonts.family}:${fonts.bodyWeight}`,
+        fontWeight: Number(fonts.bodyWeight),
+        fontSize: isVertical ? 32 : 30,
+        textColor: colors.foreground,
+        position: isVertical ? 'top' : 'left',
+        animation: { name: 'fadeInUp', start: 0.4 + idx * 0.3, duration: 0.7 }
+      }))
+    ];
+
+    mediaEntries.push({
+      slide,
+      localPath: outputPath,
+      assetInfo,
+      jsonCut: {
+        frame: { width, height },
+        duration: 10,
+        transition: { name: 'fade', duration: 0.7 },
+        layers
+      }
+    });
 
-      slideLogs.push({
-        index: i + 1,
-        headline: slide.headline,
-        paragraph: slide.paragraph || null,
-        narrativeLines,
-        imageSource: assetInfo.type,
-        textMode: 'svg',
-        chart: slide.chart?.type || null,
-        page: slide.page ?? null,
-        assetError: illustrationError
-      });
-    }
-    progress.push({ step: 'generate-images', status: 'completed' });
-
-    progress.push({ step: 'tts', status: 'started' });
-    const audioClips = [];
-    let ttsError = null;
-    for (let i = 0; i < mediaEntries.length; i += 1) {
-      const rawHeadline = mediaEntries[i].slide?.headline || `Section ${i + 1}`;
-      const speechText = rawHeadline.replace(/\s+/g, ' ').trim();
-      try {
-        const tts = await synthesizeHeadline({
+    slideLogs.push({
+      index: i + 1,
+      headline: slide.headline,
+      paragraph: slide.paragraph || null,
+      narrativeLines,
+      imageSource: assetInfo.type,
+      textMode: 'svg',
+      layout,
+      chart: slide.chart?.type || null,
+      page: slide.page ?? null,
+      figure: slide.figure ?? null,
+      source: slide.source ?? null,
+      sourceName: summary.sources?.find((entry) => entry.index === slide.source)?.name ?? null,
+      assetError: illustrationError
+    });
+  }
+  if (slideCacheHits) {
+    report({
+      step: 'generate-images',
+      status: 'info',
+      detail: `Cache hit: reused ${slideCacheHits} of ${slides.length} slide images`
+    });
+  }
+  report({ step: 'generate-images', status: 'completed' });
+
+  report({ step: 'tts', status: 'started' });
+  const audioClips = [];
+  let ttsError = null;
+  let ttsCacheHits = 0;
+  for (let i = 0; i < mediaEntries.length; i += 1) {
+    const rawHeadline = mediaEntries[i].slide?.headline || `Section ${i + 1}`;
+    const speechText = rawHeadline.replace(/\s+/g, ' ').trim();
+    try {
+      const ttsKey = { text: speechText, voiceId: ELEVENLABS_VOICE_ID };
+      const cachedClip = await pipelineCache.getFile('tts', ttsKey, 'mp3');
+      let tts;
+      if (cachedClip) {
+        const filePath = path.join(requestDir, `headline-${i + 1}.mp3`);
+        await fs.copyFile(cachedClip.path, filePath);
+        tts = { filePath, duration: cachedClip.meta?.duration ?? null };
+        ttsCacheHits += 1;
+      } else {
+        tts = await synthesizeHeadline({
           headline: speechText,
           index: i + 1,
           outputDir: requestDir,
           apiKey: ELEVENLABS_API_KEY,
-          voiceId: ELEVENLABS_VOICE_ID
+          voiceId: ELEVENLABS_VOICE_ID,
+          signal
         });
-        audioClips.push(tts);
-        slideLogs[i].ttsDuration = Number((tts.duration || 0).toFixed(2));
-        slideLogs[i].voiceoverText = speechText;
-      } catch (error) {
-        ttsError = error instanceof Error ? error : new Error(String(error));
-        const detail = ttsError.message?.slice?.(0, 180) || String(ttsError);
-        console.warn(`Voiceover generation failed on slide ${i + 1}:`, detail);
-        progress.push({
-          step: 'tts',
-          status: 'info',
-          detail: `Voiceover disabled after failure on slide ${i + 1}: ${detail}`
-        });
-        break;
+        await pipelineCache.putFile('tts', ttsKey, tts.filePath, 'mp3', { duration: tts.duration });
       }
-    }
-
-    let voiceoverPath;
-    let voiceoverDuration;
-    if (!ttsError && audioClips.length === mediaEntries.length && audioClips.length) {
-      progress.push({
-        step: 'tts',
-        status: 'completed',
-        detail: `Generated ${audioClips.length} voiceover clips`
-      });
-
-      const standardVoiceoverPath = path.join(requestDir, 'voiceover.mp3');
-      const voiceover = await buildVoiceover(audioClips, {
-        workingDir: requestDir,
-        outputPath: standardVoiceoverPath
-      });
-      voiceoverPath = voiceover.filePath;
-      voiceoverDuration = voiceover.duration;
-    } else {
-      const totalDuration = mediaEntries.reduce(
-        (sum, entry) => sum + (Number.isFinite(entry.duration) && entry.duration > 0 ? entry.duration : 10),
-        0
-      );
-      const silentPath = path.join(requestDir, 'voiceover-silent.mp3');
-      const silent = await buildSilentVoiceover({
-        durationSeconds: totalDuration,
-        outputPath: silentPath
-      });
-      voiceoverPath = silent.filePath;
-      voiceoverDuration = silent.duration;
-      slideLogs.forEach((log, index) => {
-        if (audioClips[index]) {
-          return;
-        }
-        log.ttsDuration = 0;
-        log.voiceoverText = null;
-        if (ttsError) {
-          log.ttsError = ttsError.message || String(ttsError);
-        } else {
-          log.ttsError = 'Voiceover skipped (no audio generated)';
-        }
-      });
-      progress.push({
+      audioClips.push(tts);
+      slideLogs[i].ttsDuration = Number((tts.duration || 0).toFixed(2));
+      slideLogs[i].voiceoverText = speechText;
+    } catch (error) {
+      if (signal.aborted) {
+        throw error;
+      }
+      ttsError = error instanceof Error ? error : new Error(String(error));
+      const detail = ttsError.message?.slice?.(0, 180) || String(ttsError);
+      console.warn(`Voiceover generation failed on slide ${i + 1}:`, detail);
+      report({
         step: 'tts',
-        status: 'completed',
-        detail: 'Voiceover skipped; using silent audio track'
+        status: 'info',
+        detail: `Voiceover disabled after failure on slide ${i + 1}: ${detail}`
       });
+      break;
     }
+  }
 
-    mediaEntries.forEach((entry) => {
-      entry.duration = 10;
-      entry.jsonCut.duration = 10;
+  if (ttsCacheHits) {
+    report({
+      step: 'tts',
+      status: 'info',
+      detail: `Cache hit: reused ${ttsCacheHits} of ${mediaEntries.length} voiceover clips`
     });
+  }
 
-    progress.push({ step: 'render', status: 'started', detail: 'Rendering locally with ffmpeg' });
-    const tempVideoPath = path.join(requestDir, `render-${Date.now()}.${FORMAT}`);
-    await renderLocalVideo({
-      slides: mediaEntries,
-      voiceoverPath,
-      outputPath: tempVideoPath,
-      fps: FPS
+  let voiceoverPath;
+  let voiceoverDuration;
+  if (!ttsError && audioClips.length === mediaEntries.length && audioClips.length) {
+    report({
+      step: 'tts',
+      status: 'completed',
+      detail: `Generated ${audioClips.length} voiceover clips`
     });
 
-    const fileId = await registerLocalDownload(tempVideoPath, FORMAT);
-    progress.push({ step: 'render', status: 'completed', detail: 'Local render complete' });
-
-    const downloadUrl = `/api/download?fileId=${encodeURIComponent(fileId)}&fmt=${FORMAT}&local=1`;
-    const totalDuration =
-      voiceoverDuration ??
-      mediaEntries.reduce((sum, entry) => sum + (entry.duration ?? 10), 0);
-
-    return res.json({
-      ok: true,
-      downloadUrl,
-      filename: `summary-video.${FORMAT}`,
-      orientation,
-      durationSeconds: Number.isFinite(totalDuration)
-        ? Number(totalDuration.toFixed(1))
-        : mediaEntries.length * 10,
-      provider: 'local',
-      jobId: null,
-      slides: slideLogs,
-      progress
+    const standardVoiceoverPath = path.join(requestDir, 'voiceover.mp3');
+    const voiceover = await buildVoiceover(audioClips, {
+      workingDir: requestDir,
+      outputPath: standardVoiceoverPath,
+      signal
     });
-  } catch (err) {
-    console.error(err);
-    const lastStep = [...progress].reverse().find((entry) => entry.status === 'started');
-    progress.push({
-      step: lastStep?.step || 'analyze',
-      status: 'error',
-      detail: err?.message || String(err)
+    voiceoverPath = voiceover.filePath;
+    voiceoverDuration = voiceover.duration;
+  } else {
+    const totalDuration = mediaEntries.reduce(
+      (sum, entry) => sum + (Number.isFinite(entry.duration) && entry.duration > 0 ? entry.duration : 10),
+      0
+    );
+    const silentPath = path.join(requestDir, 'voiceover-silent.mp3');
+    const silent = await buildSilentVoiceover({
+      durationSeconds: totalDuration,
+      outputPath: silentPath,
+      signal
     });
-    return res.status(500).json({
-      error: err?.message || String(err),
-      progress,
-      slides: slideLogs
+    voiceoverPath = silent.filePath;
+    voiceoverDuration = silent.duration;
+    slideLogs.forEach((log, index) => {
+      if (audioClips[index]) {
+        return;
+      }
+      log.ttsDuration = 0;
+      log.voiceoverText = null;
+      if (ttsError) {
+        log.ttsError = ttsError.message || String(ttsError);
+      } else {
+        log.ttsError = 'Voiceover skipped (no audio generated)';
+      }
+    });
+    report({
+      step: 'tts',
+      status: 'completed',
+      detail: 'Voiceover skipped; using silent audio track'
     });
-  } finally {
-    await safeRemove(requestDir);
   }
+
+  mediaEntries.forEach((entry) => {
+    entry.duration = 10;
+    entry.jsonCut.duration = 10;
+  });
+
+  report({ step: 'render', status: 'started', detail: 'Rendering locally with ffmpeg' });
+  const tempVideoPath = path.join(requestDir, `render-${Date.now()}.${FORMAT}`);
+  await renderLocalVideo({
+    slides: mediaEntries,
+    width,
+    height,
+    voiceoverPath,
+    outputPath: tempVideoPath,
+    fps: FPS,
+    signal
+  });
+
+  const totalDuration =
+    voiceoverDuration ??
+    mediaEntries.reduce((sum, entry) => sum + (entry.duration ?? 10), 0);
+  const durationSeconds = Number.isFinite(totalDuration)
+    ? Number(totalDuration.toFixed(1))
+    : mediaEntries.length * 10;
+
+  const thumbnail = await fs
+    .readFile(mediaEntries[0].localPath)
+    .then((buffer) => createThumbnail(buffer))
+    .catch((err) => {
+      console.warn('Failed to create render thumbnail', err);
+      return null;
+    });
+  const render = await renderStore.register(tempVideoPath, {
+    format: FORMAT,
+    thumbnail,
+    orientation,
+    theme,
+    brandKit: brand?.id ?? null,
+    docTitle: summary.docTitle,
+    durationSeconds,
+    sourceFilename: job.meta?.filename ?? null,
+    slides: slideLogs.map((log) => ({
+      index: log.index,
+      headline: log.headline,
+      paragraph: log.paragraph,
+      imageSource: log.imageSource,
+      layout: log.layout,
+      chart: log.chart,
+      page: log.page,
+      ttsDuration: log.ttsDuration ?? null
+    }))
+  });
+  report({ step: 'render', status: 'completed', detail: 'Local render complete' });
+
+  const downloadUrl = `/api/download?fileId=${encodeURIComponent(render.id)}&fmt=${FORMAT}&local=1`;
+
+  return {
+    downloadUrl,
+    filename: `summary-video.${FORMAT}`,
+    orientation,
+    theme,
+    brandKit: brand?.id ?? null,
+    docTitle: summary.docTitle,
+    durationSeconds,
+    expiresAt: new Date(render.expiresAt).toISOString(),
+    provider: 'local'
+  };
+}
+
+app.get('/api/renders', (req, res) => {
+  return res.json({ ok: true, renders: renderStore.list().map((record) => serializeRender(record, req)) });
+});
+
+app.get('/api/renders/:id', (req, res) => {
+  const record = renderStore.get(String(req.params.id || ''));
+  if (!record) return res.status(404).json({ error: 'Render not found' });
+  return res.json({ ok: true, render: serializeRender(record, req) });
+});
+
+app.get('/api/renders/:id/thumbnail', (req, res) => {
+  const record = renderStore.get(String(req.params.id || ''));
+  if (!record?.thumbnailPath) return res.status(404).send('Thumbnail not found');
+  res.sendFile(record.thumbnailPath, { headers: { 'Content-Type': 'image/png' } }, (err) => {
+    if (err && !res.headersSent) res.status(404).send('Thumbnail not found');
+  });
 });
 
-// Serve locally rendered videos
+app.delete('/api/renders/:id', async (req, res) => {
+  const removed = await renderStore.remove(String(req.params.id || ''));
+  if (!removed) return res.status(404).json({ error: 'Render not found' });
+  return res.json({ ok: true });
+});
+
+// Serve locally rendered videos. Files stay available until the render store expires them.
 app.get('/api/download', async (req, res) => {
   const fileId = String(req.query.fileId || '');
-  const fmt = String(req.query.fmt || 'mp4');
   if (!fileId) return res.status(400).send('Missing fileId');
 
-  const record = downloadStore.get(fileId);
+  const record = renderStore.get(fileId);
   if (!record) return res.status(404).send('File not found');
 
   try {
     await fs.access(record.path);
   } catch {
-    downloadStore.delete(fileId);
+    await renderStore.remove(fileId);
     return res.status(404).send('File expired');
   }
 
-  res.setHeader('Content-Type', fmt === 'mov' ? 'video/quicktime' : 'video/mp4');
-  res.setHeader('Content-Disposition', `attachment; filename="summary-video.${fmt}"`);
-  const stream = createReadStream(record.path);
-  stream.on('close', async () => {
-    downloadStore.delete(fileId);
-    await fs.unlink(record.path).catch(() => {});
-  });
-  stream.pipe(res);
+  const fmt = record.format || 'mp4';
+  const disposition = req.query.disposition === 'inline' ? 'inline' : 'attachment';
+  // sendFile answers Range requests with 206 and handles ETag/Last-Modified revalidation.
+  res.sendFile(
+    record.path,
+    {
+      acceptRanges: true,
+      etag: true,
+      lastModified: true,
+      headers: {
+        'Content-Type': fmt === 'mov' ? 'video/quicktime' : 'video/mp4',
+        'Content-Disposition': `${disposition}; filename="summary-video.${fmt}"`,
+        'Cache-Control': 'private, max-age=0, must-revalidate'
+      }
+    },
+    (err) => {
+      if (err && !res.headersSent) {
+        res.status(err.status || 500).send(err.status === 404 ? 'File expired' : 'Download failed');
+      }
+    }
+  );
 });
 
+try {
+  const { loaded } = await brandKits.load();
+  console.log(`Brand kits: ${loaded} available`);
+} catch (err) {
+  console.warn('Failed to load brand kits', err);
+}
+
+try {
+  const { loaded, adopted, expired } = await renderStore.load();
+  console.log(`Render registry: ${loaded} renders available (${adopted} recovered from disk, ${expired} expired)`);
+} catch (err) {
+  console.warn('Failed to load render registry', err);
+}
+renderStore.startSweeper();
+pipelineCache.startPruner();
+
+if (apiAuth.openAccess) {
+  console.warn('API authentication disabled by API_OPEN_ACCESS; set API_KEYS or API_KEYS_FILE to require keys');
+} else if (!apiAuth.enabled) {
+  console.warn('No API keys configured; API requests answer 503 until API_KEYS, API_KEYS_FILE or API_OPEN_ACCESS=true is set');
+}
+
 const port = process.env.PORT || 8787;
 app.listen(port, () => console.log(`Server on http://localhost:${port}`));
 
@@ -387,6 +1225,15 @@ function buildSlideNarrativeLines(slide) {
   }
   return buildLayerParagraphs(slide?.bullets || []);
 }
+// The content a layout template may show besides the headline and paragraph.
+function slideLayoutFields(slide) {
+  return {
+    stat: slide.stat ?? null,
+    quote: slide.quote ?? null,
+    columns: slide.columns ?? null,
+    timeline: slide.timeline ?? null
+  };
+}
 function buildLayerParagraphs(bullets = []) {
   return (bullets || [])
     .map((entry) => String(entry || '').trim())
@@ -400,6 +1247,265 @@ function truncateForLayer(text, maxChars) {
   return `${text.slice(0, Math.max(0, maxChars - 3)).trim()}...`;
 }
 
+function acceptDocuments(req, res, next) {
+  uploadDocument(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Each document must be 25 MB or smaller' });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'pdf') {
+      return res.status(400).json({ error: 'Send several documents in the `document` field' });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'document') {
+      return res.status(400).json({ error: `Upload at most ${MAX_DOCUMENTS} documents at once` });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Unexpected file field "${err.field}"; upload documents as \`document\`` });
+    }
+    return res.status(400).json({ error: err.message });
+  });
+}
+
+function receiveDocuments(req) {
+  const files = [...(req.files?.document || []), ...(req.files?.pdf || [])];
+  if (!files.length) {
+    return { status: 400, error: 'No document provided' };
+  }
+  const documents = [];
+  for (const file of files) {
+    const format = detectDocumentFormat({
+      buffer: file.buffer,
+      mimetype: file.mimetype,
+      filename: file.originalname
+    });
+    if (!format) {
+      const name = files.length > 1 && file.originalname ? ` (${file.originalname})` : '';
+      return {
+        status: 415,
+        error: `Unsupported document format${name}; upload one of: ${SUPPORTED_DOCUMENT_FORMATS.join(', ')}`
+      };
+    }
+    documents.push({
+      buffer: file.buffer,
+      filename: file.originalname || null,
+      format,
+      password: format === 'pdf' ? readPassword(req.body) : null
+    });
+  }
+  return { documents };
+}
+
+// One password is tried on every uploaded PDF; pdf.js ignores it for documents that are not encrypted.
+function readPassword(body) {
+  return typeof body?.password === 'string' && body.password ? body.password : null;
+}
+
+function readTheme(body) {
+  const value = typeof body?.theme === 'string' ? body.theme.trim().toLowerCase() : '';
+  if (!value) return { theme: DEFAULT_THEME };
+  if (!isThemeName(value)) {
+    return { status: 400, error: `Unknown theme "${value}"; available themes: ${THEME_NAMES.join(', ')}` };
+  }
+  return { theme: value };
+}
+
+// Kits are resolved when the request arrives; the job renders with that snapshot of the kit.
+function readBrandKit(body) {
+  const value = typeof body?.brandKit === 'string' ? body.brandKit.trim() : '';
+  if (!value) return { brand: null };
+  const brand = brandKits.renderOptions(value);
+  if (!brand) return { status: 400, error: `Unknown brand kit "${value}"` };
+  return { brand };
+}
+
+function acceptBrandKit(req, res, next) {
+  uploadBrandKit(req, res, (err) => {
+    if (!(err instanceof multer.MulterError)) return next(err);
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Logo and font files must be 10 MB or smaller' });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'font') {
+      return res.status(400).json({ error: `Upload at most ${MAX_BRAND_FONTS} font files` });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Unexpected file field "${err.field}"; upload \`logo\` and \`font\` files` });
+    }
+    return res.status(400).json({ error: err.message });
+  });
+}
+
+const BRAND_KIT_FIELDS = [
+  'name',
+  'palette',
+  'fontFamily',
+  'logoPosition',
+  'watermarkPosition',
+  'watermarkOpacity',
+  'watermarkText'
+];
+
+function readBrandKitFields(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const fields = Object.fromEntries(
+    BRAND_KIT_FIELDS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]])
+  );
+  return {
+    ...fields,
+    logo: req.files?.logo?.[0]?.buffer ?? null,
+    fonts: req.files?.font ?? [],
+    removeLogo: isEnabled(body.removeLogo)
+  };
+}
+
+function sendBrandKitError(res, err) {
+  if (err?.status) return res.status(err.status).json({ error: err.message });
+  console.error('Brand kit update failed', err);
+  return res.status(500).json({ error: err?.message || String(err) });
+}
+
+function receiveSelection(body, documents) {
+  const pageRanges = parsePageRanges(body?.pages);
+  if (!pageRanges) {
+    return { status: 400, error: '`pages` must be page numbers or ranges, for example "12-30" or "1-3, 7"' };
+  }
+  const sections = parseSectionTitles(body?.sections);
+  if (!pageRanges.length && !sections.length) return { selection: null };
+  if (documents.length > 1) {
+    return { status: 400, error: '`pages` and `sections` can only be used with a single document' };
+  }
+  if (pageRanges.length && documents[0].format !== 'pdf') {
+    return { status: 400, error: '`pages` only applies to PDF documents; use `sections` to pick headings' };
+  }
+  return { selection: { pageRanges, sections } };
+}
+
+// Echoes the requested selection in 202 responses; the applied one is reported once the text is read.
+function describeSelection(selection) {
+  if (!selection) return {};
+  return {
+    selection: {
+      ...(selection.pageRanges.length ? { pages: formatPageRanges(selection.pageRanges) } : {}),
+      ...(selection.sections.length ? { sections: selection.sections } : {})
+    }
+  };
+}
+
+function describeFilenames(documents) {
+  const names = documents.map((document) => document.filename).filter(Boolean);
+  return names.length ? names.join(', ') : null;
+}
+
+function describeFormats(documents) {
+  return Array.from(new Set(documents.map((document) => document.format))).join(', ');
+}
+
+// "Source: appendix.pdf, p. 4" for slides planned from several documents.
+function sourceCaption(slide, sources) {
+  const source = sources?.find((entry) => entry.index === slide.source);
+  if (!source) return null;
+  return `Source: ${source.name}${slide.page ? `, p. ${slide.page}` : ''}`;
+}
+
+function isEnabled(value) {
+  return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+async function fetchUrlDocument(url, { password = null, signal }) {
+  if (typeof url !== 'string' || !url.trim()) {
+    return { status: 400, error: 'No URL provided' };
+  }
+
+  let fetched;
+  try {
+    fetched = await urlFetcher.fetchDocument(url, { signal });
+  } catch (err) {
+    if (signal.aborted) throw err;
+    return { status: err.status || 502, error: err.message || String(err) };
+  }
+
+  const filename = filenameFromUrl(fetched.url);
+  const format = detectDocumentFormat({ buffer: fetched.buffer, mimetype: fetched.contentType, filename });
+  if (!format) {
+    return {
+      status: 415,
+      error: `Unsupported document format at URL; expected a web page or one of: ${SUPPORTED_DOCUMENT_FORMATS.join(', ')}`
+    };
+  }
+  const source = { url: fetched.url, redirects: fetched.redirects, bytes: fetched.buffer.length };
+  if (format !== 'html') {
+    return { buffer: fetched.buffer, filename, format, password: format === 'pdf' ? password : null, source };
+  }
+
+  // Web pages are reduced to their main article before entering the pipeline.
+  let article;
+  try {
+    article = extractArticle(decodeTextBody(fetched.buffer, fetched.contentType));
+  } catch (err) {
+    console.error(err);
+    return { status: 422, error: 'Could not read the web page at the URL' };
+  }
+  if (!article.textLength) {
+    return { status: 422, error: 'No readable article text found at the URL' };
+  }
+  return {
+    buffer: Buffer.from(article.html),
+    filename,
+    format,
+    source: { ...source, title: article.title, articleChars: article.textLength, pageChars: article.pageTextLength }
+  };
+}
+
+function describeUrlSource(source) {
+  const size = `${Math.max(1, Math.round(source.bytes / 1024))} KB`;
+  const redirects = source.redirects ? `, ${source.redirects} redirect${source.redirects === 1 ? '' : 's'}` : '';
+  const article = source.articleChars !== undefined
+    ? `; article text kept ${source.articleChars} of ${source.pageChars} chars`
+    : '';
+  return `Fetched ${source.url} (${size}${redirects})${article}`;
+}
+
+function filenameFromUrl(url) {
+  const { hostname, pathname } = new URL(url);
+  const segment = pathname.split('/').filter(Boolean).pop();
+  try {
+    return segment ? decodeURIComponent(segment) : hostname;
+  } catch {
+    return segment || hostname;
+  }
+}
+
+async function extractDocumentFigures({ buffer, password, documentHash, slides, skipPages, signal, report }) {
+  try {
+    const figures = await extractPdfFigures(buffer, {
+      pages: slides.map((slide) => slide.page),
+      password,
+      skipPages,
+      signal
+    });
+    const withIds = figures.map((figure) => ({
+      ...figure,
+      id: `${documentHash.slice(0, 16)}-p${figure.page}-${figure.index}`
+    }));
+    for (const figure of withIds) {
+      await pipelineCache.putFile('figures', { id: figure.id }, figure.buffer, 'png');
+    }
+    return withIds;
+  } catch (err) {
+    if (signal.aborted) throw err;
+    console.warn('Figure extraction failed', err);
+    report({ step: 'plan', status: 'info', detail: `Figures: extraction failed (${err?.message || err})` });
+    return [];
+  }
+}
+
+async function loadFigure(id, figureBuffers = null) {
+  if (!id) return null;
+  const buffer = figureBuffers?.get(id);
+  if (buffer) return buffer;
+  const cached = await pipelineCache.getFile('figures', { id }, 'png');
+  return cached ? fs.readFile(cached.path) : null;
+}
+
 function sanitizeAndClamp(input, maxChars) {
   return String(input || '')
     .replace(/\r\n/g, '\n')
@@ -408,19 +1514,86 @@ function sanitizeAndClamp(input, maxChars) {
     .slice(0, maxChars);
 }
 
-function normalizeOrientation(value) {
-  return value === '16:9' ? '16:9' : '9:16';
+function formatIssues(error) {
+  return error.issues.map((issue) => ({
+    path: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
+function isJobFinished(job) {
+  return ['succeeded', 'failed', 'cancelled'].includes(job.state);
+}
+
+function serializeJob(job, req) {
+  const result = job.result || {};
+  return {
+    ok: job.state !== 'failed' && job.state !== 'cancelled',
+    jobId: job.id,
+    state: job.state,
+    queuePosition: jobQueue.queuePosition(job.id),
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    cancelRequestedAt: job.cancelRequestedAt ? new Date(job.cancelRequestedAt).toISOString() : null,
+    ...result,
+    ...(result.downloadUrl ? renderLinks(req, result.downloadUrl) : {}),
+    error: job.error,
+    errorCode: job.errorCode,
+    slides: job.slides,
+    progress: job.progress
+  };
 }
 
-async function registerLocalDownload(tempPath, format) {
-  await fs.mkdir(RENDERS_DIR, { recursive: true });
+function serializeBrandKit(kit, req) {
+  return {
+    id: kit.id,
+    name: kit.name,
+    createdAt: new Date(kit.createdAt).toISOString(),
+    updatedAt: new Date(kit.updatedAt).toISOString(),
+    palette: kit.palette,
+    fontFamily: kit.fontFamily,
+    fonts: kit.fonts.map(({ family, weight, italic, size }) => ({ family, weight, italic, size })),
+    logo: kit.logo ? { width: kit.logo.width, height: kit.logo.height } : null,
+    logoUrl: kit.logo ? signUrl(req, `/api/brand-kits/${encodeURIComponent(kit.id)}/logo?v=${kit.updatedAt}`) : null,
+    logoPosition: kit.logoPosition,
+    watermark: kit.watermark
+  };
+}
 
-  const fileId = randomUUID();
-  const finalPath = path.join(RENDERS_DIR, `${fileId}.${format}`);
+function serializeRender(record, req) {
+  const slides = Array.isArray(record.slides) ? record.slides : [];
+  return {
+    id: record.id,
+    docTitle: record.docTitle,
+    sourceFilename: record.sourceFilename ?? null,
+    orientation: record.orientation,
+    theme: record.theme ?? null,
+    brandKit: record.brandKit ?? null,
+    format: record.format,
+    durationSeconds: record.durationSeconds,
+    size: record.size ?? null,
+    createdAt: new Date(record.createdAt).toISOString(),
+    expiresAt: new Date(record.expiresAt).toISOString(),
+    headlines: slides.map((slide) => slide.headline).filter(Boolean),
+    slides,
+    thumbnailUrl: record.thumbnailPath
+      ? signUrl(req, `/api/renders/${encodeURIComponent(record.id)}/thumbnail`)
+      : null,
+    ...renderLinks(req, `/api/download?fileId=${encodeURIComponent(record.id)}&fmt=${record.format}&local=1`)
+  };
+}
+
+function renderLinks(req, downloadUrl) {
+  return {
+    downloadUrl: signUrl(req, downloadUrl),
+    previewUrl: signUrl(req, `${downloadUrl}&disposition=inline`)
+  };
+}
 
-  await fs.rename(tempPath, finalPath);
-  downloadStore.set(fileId, { path: finalPath, format, createdAt: Date.now() });
-  return fileId;
+// Links a browser opens without headers are signed for the requesting API key; see lib/api-auth.js.
+function signUrl(req, url) {
+  return apiAuth.signUrl(url, req.apiClient);
 }
 
 async function safeRemove(dir) {
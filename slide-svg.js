@@ -1,18 +1,50 @@
-﻿import { fontCSS, fontMeta } from "./src/font-embed.js";
+﻿import fs from "fs/promises";
+import { fontCSS, fontMeta, registerFontFiles } from "./src/font-embed.js";
 import { renderSvgToPng } from "./src/svg-render.js";
-
-const BG_COLOR = "#204EA3";
-const FG_COLOR = "#F5EF77";
-const PAD = 64;
-const FONT_FAMILY = "Outfit";
+import { layoutMedia, resolveLayout } from "./lib/layouts.js";
+import { normalizeOrientation, orientationForSize } from "./lib/orientations.js";
+import { applyBrandKit, resolveTheme } from "./lib/themes.js";
+
+// Part of the slide image cache key. Bump it whenever a change here or in src/ alters the rendered
+// pixels, so slides drawn by the old renderer are not reused.
+export const RENDERER_VERSION = 1;
+
+const CAPTION_FONT_SIZE = 22;
+const CHART_INSET = 40;
+const CHART_FONT_SIZE = 24;
+const CHART_TYPES = ["bar", "line", "pie"];
+const MAX_CHART_SERIES = 6;
+const BULLET_GLYPHS = { dot: "\u2022", dash: "\u2013", arrow: "\u2192" };
+const WATERMARK_FONT_SIZE = 28;
+const TYPE_SIZES = {
+  "16:9": { headline: 72, body: 32 },
+  "9:16": { headline: 68, body: 30 },
+  "1:1": { headline: 60, body: 28 },
+  "4:5": { headline: 64, body: 28 }
+};
+const STANDARD_LAYOUTS = {
+  "16:9": layoutHorizontal,
+  "9:16": layoutVertical,
+  "1:1": layoutSquare,
+  "4:5": layoutPortrait
+};
+const LAYOUT_TEMPLATES = {
+  standard: (context) => STANDARD_LAYOUTS[context.orientation](context),
+  "title-card": layoutTitleCard,
+  stat: layoutStat,
+  quote: layoutQuote,
+  comparison: layoutComparison,
+  "full-bleed": layoutFullBleed,
+  timeline: layoutTimeline,
+  "chart-focus": layoutChartFocus
+};
 
 export async function composeSlideSVG(options = {}) {
   const width = Number.isFinite(options.width) ? options.width : 1920;
   const height = Number.isFinite(options.height) ? options.height : 1080;
-  const orientation = normalizeOrientation(
-    options.orientation ?? (width >= height ? "16:9" : "9:16")
-  );
+  const orientation = normalizeOrientation(options.orientation ?? orientationForSize(width, height));
   const headline = String(options.headline ?? options.title ?? "").trim();
+  const caption = String(options.caption ?? "").trim();
 
   const paragraphs = sanitizeParagraphs(
     Array.isArray(options.paragraphs)
@@ -26,51 +58,113 @@ export async function composeSlideSVG(options = {}) {
             : []
   );
 
-  const imageBuffer = options.imageBuffer instanceof Buffer ? options.imageBuffer : null;
-  const css = await fontCSS();
-  const meta = await fontMeta();
-  const headlineFontWeight = meta.headlineWeight;
-  const bodyFontWeight = meta.bodyWeight;
+  // options.brand is a brand kit's render options: palette, font file paths, logo and watermark.
+  const brand = options.brand || null;
+  const theme = applyBrandKit(resolveTheme(options.theme), brand);
+  const pad = theme.padding;
+  const fontFamily = theme.fonts.family;
+  const fontFiles = brand?.fonts ?? [];
+  const faces = await registerFontFiles(fontFiles);
+  const plannedChart = normalizeChart(options.chart);
+  const suppliedImage = options.imageBuffer instanceof Buffer ? options.imageBuffer : null;
+  const layoutName = resolveLayout(
+    options.layout,
+    {
+      headline,
+      paragraph: paragraphs.join(" "),
+      chart: plannedChart,
+      stat: options.stat,
+      quote: options.quote,
+      columns: options.columns,
+      timeline: options.timeline
+    },
+    { hasImage: Boolean(suppliedImage) }
+  );
+  const media = layoutMedia(layoutName);
+  const chart = media === "frame" ? plannedChart : null;
+  // Chart data is drawn in the illustration frame, so an image is only used without one.
+  const imageBuffer = media === "frame" && !chart ? suppliedImage : null;
+  const logo = brand?.logo ? await loadLogo(brand.logo) : null;
+  const meta = await fontMeta({ family: fontFamily, faces });
+  const headlineFontWeight = nearestWeight(theme.fonts.headlineWeight, meta.weights) ?? meta.headlineWeight;
+  const bodyFontWeight = nearestWeight(theme.fonts.bodyWeight, meta.weights) ?? meta.bodyWeight;
   const isVariableFont = meta.isVariable;
+  const css = await fontCSS({
+    family: fontFamily,
+    faces,
+    color: theme.colors.foreground,
+    headlineWeight: headlineFontWeight,
+    bodyWeight: bodyFontWeight
+  });
   const showFrame = options.showFrame !== false;
-  const showBullets = options.showBullets !== false;
-
-  const headlineFontSize = orientation === "16:9" ? 72 : 68;
-  const bodyFontSize = orientation === "16:9" ? 32 : 30;
-  const headlineLines = wrapHeadlineWithWidth(headline, width, headlineFontSize);
-
-  const layout =
-    orientation === "16:9"
-      ? layoutHorizontal({
-          width,
-          height,
-          headlineLines,
-          paragraphs,
-          headlineFontSize,
-          bodyFontSize,
-          headlineFontWeight,
-          bodyFontWeight,
-          isVariableFont,
-          showBullets
-        })
-      : layoutVertical({
-          width,
-          height,
-          headlineLines,
-          paragraphs,
-          headlineFontSize,
-          bodyFontSize,
-          headlineFontWeight,
-          bodyFontWeight,
-          isVariableFont,
-          showBullets
-        });
+  // Brand fonts may lack the arrow glyph, and resvg then swaps the whole line to a fallback font.
+  const themeBullet = faces.length && theme.bullet === "arrow" ? "dot" : theme.bullet;
+  const bullet = options.showBullets === false ? "none" : themeBullet;
+
+  const headlineFontSize = TYPE_SIZES[orientation].headline;
+  const bodyFontSize = TYPE_SIZES[orientation].body;
+
+  // Templates without an illustration frame return `frame: null`; full-bleed returns `backdropSvg`.
+  const layout = LAYOUT_TEMPLATES[layoutName]({
+    width,
+    height,
+    pad,
+    orientation,
+    headline,
+    paragraphs,
+    headlineFontSize,
+    bodyFontSize,
+    headlineFontWeight,
+    bodyFontWeight,
+    isVariableFont,
+    fontFamily,
+    bullet,
+    accent: theme.colors.accent,
+    background: theme.colors.background,
+    stat: options.stat,
+    quote: options.quote,
+    columns: options.columns,
+    timeline: options.timeline,
+    backdrop: media === "backdrop" ? suppliedImage : null
+  });
 
+  const { radius: frameRadius, width: frameStroke, shadow } = theme.frame;
   const imageTag = imageBuffer
-    ? `\n    <image href="data:image/png;base64,${imageBuffer.toString("base64")}"\n           x="${layout.frame.x + 6}" y="${layout.frame.y + 6}"\n           width="${layout.frame.width - 12}" height="${layout.frame.height - 12}"\n           preserveAspectRatio="xMidYMid meet"\n           clip-path="url(#imgClip)" filter="url(#softShadow)"/>\n`
+    ? `\n    <image href="data:image/png;base64,${imageBuffer.toString("base64")}"\n           x="${layout.frame.x + 6}" y="${layout.frame.y + 6}"\n           width="${layout.frame.width - 12}" height="${layout.frame.height - 12}"\n           preserveAspectRatio="xMidYMid meet"\n           clip-path="url(#imgClip)"${shadow ? ' filter="url(#softShadow)"' : ""}/>\n`
+    : "";
+  const logoBox = logo ? placeLogo(logo, brand.logo.position, { width, height, pad }) : null;
+  // Source captions sit in the bottom margin, under the frame and text column, beside a bottom logo.
+  const captionInset = logoBox?.bottom ? logoBox.width + pad / 2 : 0;
+  const captionX = logoBox?.bottom && logoBox.left ? pad + captionInset : pad;
+  const captionSvg = caption
+    ? renderTextBlock({
+        x: captionX,
+        // The first line is offset by one font size, so this centres it in the bottom margin.
+        y: height - pad / 2 - CAPTION_FONT_SIZE * 1.5,
+        lines: truncateToOneLine(caption, width - pad * 2 - captionInset, CAPTION_FONT_SIZE),
+        fontSize: CAPTION_FONT_SIZE,
+        className: "body",
+        lineHeight: CAPTION_FONT_SIZE,
+        align: orientation === "16:9" ? "left" : "center",
+        width: width - pad * 2 - captionInset,
+        fontFamily,
+        fontWeight: bodyFontWeight,
+        isVariable: isVariableFont
+      }).replace("<text ", '<text opacity="0.8" ')
+    : "";
+  const chartSvg = chart
+    ? renderChart(chart, layout.frame, {
+        bodyFontWeight,
+        headlineFontWeight,
+        isVariable: isVariableFont,
+        fontFamily,
+        foreground: theme.colors.foreground,
+        background: theme.colors.background,
+        palette: theme.colors.chart
+      })
     : "";
-  const frameRect = showFrame
-    ? `\n      <rect x="${layout.frame.x}" y="${layout.frame.y}" width="${layout.frame.width}" height="${layout.frame.height}" rx="28" ry="28" fill="none" stroke="${FG_COLOR}" stroke-width="6"/>\n`
+  const frameRect = showFrame && layout.frame
+    ? `\n      <rect x="${layout.frame.x}" y="${layout.frame.y}" width="${layout.frame.width}" height="${layout.frame.height}" rx="${frameRadius}" ry="${frameRadius}" fill="none" stroke="${theme.colors.accent}" stroke-width="${frameStroke}"/>\n`
     : "";
 
   const svg = `
@@ -79,57 +173,190 @@ export async function composeSlideSVG(options = {}) {
         ${css}
       ]]></style>
       <defs>
-        <clipPath id="imgClip">
-          <rect x="${layout.frame.x + 6}" y="${layout.frame.y + 6}" width="${layout.frame.width - 12}" height="${layout.frame.height - 12}" rx="22" ry="22"/>
-        </clipPath>
+        ${layout.frame ? `<clipPath id="imgClip">
+          <rect x="${layout.frame.x + 6}" y="${layout.frame.y + 6}" width="${layout.frame.width - 12}" height="${layout.frame.height - 12}" rx="${Math.max(0, frameRadius - 6)}" ry="${Math.max(0, frameRadius - 6)}"/>
+        </clipPath>` : ""}
         <filter id="softShadow" x="-20%" y="-20%" width="140%" height="140%">
           <feDropShadow dx="0" dy="10" stdDeviation="12" flood-color="#000" flood-opacity=".25"/>
         </filter>
+        ${backgroundDefs(theme.background, theme.colors.background)}
       </defs>
-      <rect width="100%" height="100%" fill="${BG_COLOR}"/>
+      ${backgroundLayers(theme.background, theme.colors.background)}
+      ${layout.backdropSvg ?? ""}
       ${layout.textSvg}
+      ${captionSvg}
       ${frameRect}
       ${imageTag}
+      ${chartSvg}
+      ${logoBox ? logoImage(logo, logoBox) : ""}
+      ${renderWatermark(brand?.watermark, {
+        logo,
+        width,
+        height,
+        pad,
+        fontFamily,
+        fontWeight: headlineFontWeight,
+        isVariable: isVariableFont,
+        color: theme.colors.foreground
+      })}
     </svg>
   `;
 
-  return { svg, width, height, background: BG_COLOR };
+  return { svg, width, height, background: theme.colors.background, fontFiles };
 }
 
 export async function renderSlideSVG(options = {}) {
-  const { svg, width, height, background } = await composeSlideSVG(options);
-  return renderSvgToPng(svg, { width, height, background, flatten: true });
+  const { svg, width, height, background, fontFiles } = await composeSlideSVG(options);
+  return renderSvgToPng(svg, { width, height, background, flatten: true, fontFiles });
+}
+
+export function canRenderChart(chart) {
+  return normalizeChart(chart) !== null;
+}
+
+// Gradients use CSS angles (0 points up, 90 to the right) across the whole slide.
+function backgroundDefs(background, baseColor) {
+  let defs = "";
+  if (background.type === "linear") {
+    const radians = ((background.angle ?? 180) * Math.PI) / 180;
+    const dx = Math.sin(radians) / 2;
+    const dy = -Math.cos(radians) / 2;
+    defs += `<linearGradient id="bgGradient" x1="${roundCoord(0.5 - dx)}" y1="${roundCoord(0.5 - dy)}" x2="${roundCoord(0.5 + dx)}" y2="${roundCoord(0.5 + dy)}">
+          <stop offset="0" stop-color="${background.from ?? baseColor}"/>
+          <stop offset="1" stop-color="${background.to ?? baseColor}"/>
+        </linearGradient>`;
+  } else if (background.type === "radial") {
+    defs += `<radialGradient id="bgGradient" cx="0.5" cy="0.4" r="0.75">
+          <stop offset="0" stop-color="${background.from ?? baseColor}"/>
+          <stop offset="1" stop-color="${background.to ?? baseColor}"/>
+        </radialGradient>`;
+  }
+  const texture = background.texture;
+  if (texture) {
+    const size = texture.size ?? 24;
+    const marks =
+      texture.pattern === "grid"
+        ? `<path d="M${size},0 V${size} M0,${size} H${size}" stroke="${texture.color}" stroke-width="1.5" fill="none"/>`
+        : texture.pattern === "diagonal"
+          ? `<path d="M0,${size} L${size},0 M${-size / 2},${size / 2} L${size / 2},${-size / 2} M${size / 2},${size * 1.5} L${size * 1.5},${size / 2}" stroke="${texture.color}" stroke-width="${roundCoord(size * 0.12)}"/>`
+          : `<circle cx="${size / 2}" cy="${size / 2}" r="${roundCoord(size * 0.08)}" fill="${texture.color}"/>`;
+    defs += `<pattern id="bgTexture" patternUnits="userSpaceOnUse" width="${size}" height="${size}">${marks}</pattern>`;
+  }
+  return defs;
+}
+
+function backgroundLayers(background, baseColor) {
+  let layers = `<rect width="100%" height="100%" fill="${baseColor}"/>`;
+  if (background.type === "linear" || background.type === "radial") {
+    layers += `<rect width="100%" height="100%" fill="url(#bgGradient)"/>`;
+  }
+  if (background.texture) {
+    layers += `<rect width="100%" height="100%" fill="url(#bgTexture)" opacity="${background.texture.opacity ?? 0.1}"/>`;
+  }
+  return layers;
+}
+
+async function loadLogo({ path, width, height }) {
+  const buffer = await fs.readFile(path);
+  return { href: `data:image/png;base64,${buffer.toString("base64")}`, aspect: width / height };
+}
+
+// Logos sit in a corner of the slide margin, sized to the padding.
+function placeLogo(logo, position = "top-right", { width, height, pad }) {
+  const boxHeight = Math.round(pad * 0.6);
+  const boxWidth = Math.round(Math.min(pad * 3.5, boxHeight * logo.aspect));
+  const left = position.endsWith("left");
+  const bottom = position.startsWith("bottom");
+  return {
+    x: left ? pad : width - pad - boxWidth,
+    y: Math.round(bottom ? height - (pad + boxHeight) / 2 : (pad - boxHeight) / 2),
+    width: boxWidth,
+    height: boxHeight,
+    left,
+    bottom
+  };
+}
+
+function logoImage(logo, box, opacity) {
+  const align = box.left ? "xMinYMid" : box.center ? "xMidYMid" : "xMaxYMid";
+  return `<image href="${logo.href}" x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" preserveAspectRatio="${align} meet"${opacity === undefined ? "" : ` opacity="${opacity}"`}/>`;
+}
+
+// Watermarks are drawn over everything: the kit's text if it has one, otherwise its logo.
+function renderWatermark(watermark, { logo, width, height, pad, fontFamily, fontWeight, isVariable, color }) {
+  if (!watermark || watermark.position === "none" || (!watermark.text && !logo)) return "";
+  const { position, opacity } = watermark;
+  const center = position === "center";
+
+  if (watermark.text) {
+    // A centred watermark is scaled down until it spans at most 70% of the slide width.
+    const fontSize = center
+      ? Math.round(Math.min(Math.min(width, height) / 6, (width * 0.7 * 100) / estimateLineWidth(watermark.text, 100)))
+      : WATERMARK_FONT_SIZE;
+    const text = truncateToOneLine(watermark.text, center ? width * 0.8 : width / 3, fontSize)[0];
+    const variation = isVariable ? ` style="font-variation-settings:'wght' ${fontWeight};"` : "";
+    const common = `font-family="${escapeXML(fontFamily)}" font-size="${fontSize}" font-weight="${fontWeight}"${variation} fill="${color}" opacity="${opacity}"`;
+    if (center) {
+      return `<text x="${width / 2}" y="${height / 2}" text-anchor="middle" dominant-baseline="middle" transform="rotate(-20 ${width / 2} ${height / 2})" ${common}>${escapeXML(text)}</text>`;
+    }
+    const left = position.endsWith("left");
+    const y = position.startsWith("bottom") ? height - pad / 2 : pad / 2;
+    return `<text x="${left ? pad : width - pad}" y="${y}" text-anchor="${left ? "start" : "end"}" dominant-baseline="middle" ${common}>${escapeXML(text)}</text>`;
+  }
+
+  if (center) {
+    const boxWidth = Math.round(Math.min(width * 0.5, height * 0.5 * logo.aspect));
+    const boxHeight = Math.round(boxWidth / logo.aspect);
+    const box = { x: Math.round((width - boxWidth) / 2), y: Math.round((height - boxHeight) / 2), width: boxWidth, height: boxHeight, center: true };
+    return logoImage(logo, box, opacity);
+  }
+  return logoImage(logo, placeLogo(logo, position, { width, height, pad }), opacity);
+}
+
+// Snaps a theme weight to one the embedded fonts provide.
+function nearestWeight(weight, available) {
+  const target = Number(weight);
+  if (!Number.isFinite(target) || !available?.length) return null;
+  return available.reduce((best, candidate) =>
+    Math.abs(Number(candidate) - target) < Math.abs(Number(best) - target) ? candidate : best
+  );
 }
 
 function layoutHorizontal({
   width,
   height,
-  headlineLines,
+  pad,
+  headline,
   paragraphs,
   headlineFontSize,
   bodyFontSize,
   headlineFontWeight,
   bodyFontWeight,
   isVariableFont,
-  showBullets
+  fontFamily,
+  bullet,
+  accent
 }) {
   const textWidth = Math.round(width * 0.44);
-  const textX = PAD;
+  const textX = pad;
+  // The headline keeps clear of the frame by more than the talking points do.
+  const headlineLines = wrapHeadlineWithWidth(headline, textWidth - pad * 1.5, headlineFontSize);
   const headlineLineHeight = headlineFontSize * 1.05;
   const headlineGap = Math.max(bodyFontSize * 1.5, headlineFontSize * 0.9);
 
   const headlineSvg = renderTextBlock({
     x: textX,
-    y: PAD,
+    y: pad,
     lines: headlineLines,
     fontSize: headlineFontSize,
     className: "hl",
     lineHeight: headlineLineHeight,
+    fontFamily,
     fontWeight: headlineFontWeight,
     isVariable: isVariableFont
   });
 
-  const textAfterHeadlineY = PAD + headlineLineHeight * headlineLines.length + headlineGap;
+  const textAfterHeadlineY = pad + headlineLineHeight * headlineLines.length + headlineGap;
 
   const paragraphsResult = renderParagraphs({
     x: textX,
@@ -138,15 +365,17 @@ function layoutHorizontal({
     paragraphs,
     fontSize: bodyFontSize,
     lineHeight: bodyFontSize * 1.4,
+    fontFamily,
     fontWeight: bodyFontWeight,
     isVariable: isVariableFont,
-    includeBullets: showBullets
+    bullet,
+    bulletColor: accent
   });
 
-  const frameWidth = Math.round(width - textWidth - PAD * 3);
-  const frameHeight = Math.round(height - PAD * 2);
-  const frameX = width - PAD - frameWidth;
-  const frameY = PAD + Math.max(0, (height - PAD * 2 - frameHeight) / 2);
+  const frameWidth = Math.round(width - textWidth - pad * 3);
+  const frameHeight = Math.round(height - pad * 2);
+  const frameX = width - pad - frameWidth;
+  const frameY = pad + Math.max(0, (height - pad * 2 - frameHeight) / 2);
 
   return {
     textSvg: `${headlineSvg}${paragraphsResult.svg}`,
@@ -157,51 +386,58 @@ function layoutHorizontal({
 function layoutVertical({
   width,
   height,
-  headlineLines,
+  pad,
+  headline,
   paragraphs,
   headlineFontSize,
   bodyFontSize,
   headlineFontWeight,
   bodyFontWeight,
   isVariableFont,
-  showBullets
+  fontFamily,
+  bullet,
+  accent
 }) {
-  const textWidth = width - PAD * 2;
+  const textWidth = width - pad * 2;
+  const headlineLines = wrapHeadlineWithWidth(headline, textWidth, headlineFontSize);
   const headlineLineHeight = headlineFontSize * 1.05;
   const headlineGap = Math.max(bodyFontSize * 1.6, headlineFontSize * 0.95);
 
   const headlineSvg = renderTextBlock({
-    x: PAD,
-    y: PAD,
+    x: pad,
+    y: pad,
     lines: headlineLines,
     fontSize: headlineFontSize,
     className: "hl",
     lineHeight: headlineLineHeight,
     align: "center",
     width: textWidth,
+    fontFamily,
     fontWeight: headlineFontWeight,
     isVariable: isVariableFont
   });
 
-  const textAfterHeadlineY = PAD + headlineLineHeight * headlineLines.length + headlineGap;
+  const textAfterHeadlineY = pad + headlineLineHeight * headlineLines.length + headlineGap;
 
   const paragraphsResult = renderParagraphs({
-    x: PAD,
+    x: pad,
     startY: textAfterHeadlineY,
     width: textWidth,
     paragraphs,
     fontSize: bodyFontSize,
     lineHeight: bodyFontSize * 1.45,
     align: "center",
+    fontFamily,
     fontWeight: bodyFontWeight,
     isVariable: isVariableFont,
-    includeBullets: showBullets
+    bullet,
+    bulletColor: accent
   });
 
   const frameY = Math.max(paragraphsResult.endY + 40, Math.round(height * 0.55));
-  const frameHeight = Math.max(240, height - frameY - PAD);
-  const frameWidth = width - PAD * 2;
-  const frameX = PAD;
+  const frameHeight = Math.max(240, height - frameY - pad);
+  const frameWidth = width - pad * 2;
+  const frameX = pad;
 
   return {
     textSvg: `${headlineSvg}${paragraphsResult.svg}`,
@@ -209,6 +445,573 @@ function layoutVertical({
   };
 }
 
+// 1:1: the headline spans the slide and the talking points sit beside the frame below it.
+function layoutSquare({
+  width,
+  height,
+  pad,
+  headline,
+  paragraphs,
+  headlineFontSize,
+  bodyFontSize,
+  headlineFontWeight,
+  bodyFontWeight,
+  isVariableFont,
+  fontFamily,
+  bullet,
+  accent
+}) {
+  const textWidth = Math.round((width - pad * 3) * 0.45);
+  const headlineLines = wrapHeadlineWithWidth(headline, width - pad * 2, headlineFontSize);
+  const headlineLineHeight = headlineFontSize * 1.05;
+  const headlineGap = Math.max(bodyFontSize * 1.5, headlineFontSize * 0.6);
+
+  const headlineSvg = renderTextBlock({
+    x: pad,
+    y: pad,
+    lines: headlineLines,
+    fontSize: headlineFontSize,
+    className: "hl",
+    lineHeight: headlineLineHeight,
+    fontFamily,
+    fontWeight: headlineFontWeight,
+    isVariable: isVariableFont
+  });
+
+  const textAfterHeadlineY = pad + headlineLineHeight * headlineLines.length + headlineGap;
+
+  const paragraphsResult = renderParagraphs({
+    x: pad,
+    startY: textAfterHeadlineY,
+    width: textWidth,
+    paragraphs,
+    fontSize: bodyFontSize,
+    lineHeight: bodyFontSize * 1.4,
+    fontFamily,
+    fontWeight: bodyFontWeight,
+    isVariable: isVariableFont,
+    bullet,
+    bulletColor: accent
+  });
+
+  // The frame's top edge lines up with the first talking point.
+  const frameX = pad * 2 + textWidth;
+  const frameY = Math.round(textAfterHeadlineY + bodyFontSize);
+  const frameWidth = width - pad - frameX;
+  const frameHeight = Math.max(240, height - frameY - pad);
+
+  return {
+    textSvg: `${headlineSvg}${paragraphsResult.svg}`,
+    frame: { x: frameX, y: frameY, width: frameWidth, height: frameHeight }
+  };
+}
+
+// 4:5: stacked like 9:16, but the shorter canvas gives the frame a larger share once the text ends.
+function layoutPortrait({
+  width,
+  height,
+  pad,
+  headline,
+  paragraphs,
+  headlineFontSize,
+  bodyFontSize,
+  headlineFontWeight,
+  bodyFontWeight,
+  isVariableFont,
+  fontFamily,
+  bullet,
+  accent
+}) {
+  const textWidth = width - pad * 2;
+  const headlineLines = wrapHeadlineWithWidth(headline, textWidth, headlineFontSize);
+  const headlineLineHeight = headlineFontSize * 1.05;
+  const headlineGap = Math.max(bodyFontSize * 1.5, headlineFontSize * 0.75);
+
+  const headlineSvg = renderTextBlock({
+    x: pad,
+    y: pad,
+    lines: headlineLines,
+    fontSize: headlineFontSize,
+    className: "hl",
+    lineHeight: headlineLineHeight,
+    align: "center",
+    width: textWidth,
+    fontFamily,
+    fontWeight: headlineFontWeight,
+    isVariable: isVariableFont
+  });
+
+  const textAfterHeadlineY = pad + headlineLineHeight * headlineLines.length + headlineGap;
+
+  const paragraphsResult = renderParagraphs({
+    x: pad,
+    startY: textAfterHeadlineY,
+    width: textWidth,
+    paragraphs,
+    fontSize: bodyFontSize,
+    lineHeight: bodyFontSize * 1.4,
+    align: "center",
+    fontFamily,
+    fontWeight: bodyFontWeight,
+    isVariable: isVariableFont,
+    bullet,
+    bulletColor: accent
+  });
+
+  const frameY = Math.round(Math.max(paragraphsResult.endY + 32, height * 0.46));
+  const frameHeight = Math.max(240, height - frameY - pad);
+
+  return {
+    textSvg: `${headlineSvg}${paragraphsResult.svg}`,
+    frame: { x: pad, y: frameY, width: textWidth, height: frameHeight }
+  };
+}
+
+// The templates below position text by the top of its first line; renderTextBlock drops the first
+// line one font size below `y`.
+function textBlockAt(top, options) {
+  return renderTextBlock({ ...options, y: top - options.fontSize });
+}
+
+function textBlockHeight(lines, fontSize, lineHeight) {
+  return lines.length ? lineHeight * (lines.length - 1) + fontSize : 0;
+}
+
+// A smaller headline across the top for templates that give the rest of the slide to one element.
+function renderTopHeadline({ width, pad, orientation, headline, headlineFontSize, headlineFontWeight, isVariableFont, fontFamily }) {
+  const fontSize = Math.round(headlineFontSize * 0.8);
+  const lineHeight = fontSize * 1.05;
+  const lines = wrapToLines(headline, width - pad * 2, fontSize, 2);
+  const top = Math.round(pad * 1.25);
+  const svg = textBlockAt(top, {
+    x: pad,
+    lines,
+    fontSize,
+    className: "hl",
+    lineHeight,
+    align: orientation === "16:9" ? "left" : "center",
+    width: width - pad * 2,
+    fontFamily,
+    fontWeight: headlineFontWeight,
+    isVariable: isVariableFont
+  });
+  return { svg, bottom: lines.length ? top + textBlockHeight(lines, fontSize, lineHeight) + pad * 0.75 : pad };
+}
+
+function layoutTitleCard({
+  width,
+  height,
+  pad,
+  orientation,
+  headline,
+  paragraphs,
+  headlineFontSize,
+  bodyFontSize,
+  headlineFontWeight,
+  bodyFontWeight,
+  isVariableFont,
+  fontFamily,
+  accent
+}) {
+  const textWidth = orientation === "16:9" ? Math.round(width * 0.72) : width - pad * 2;
+  const x = Math.round((width - textWidth) / 2);
+  const title = fitText(headline, textWidth, [1.6, 1.35, 1.15, 1].map((scale) => Math.round(headlineFontSize * scale)), 3);
+  const titleLineHeight = title.fontSize * 1.05;
+  const subtitleSize = Math.round(bodyFontSize * 1.15);
+  const subtitleLineHeight = subtitleSize * 1.4;
+  const subtitleLines = wrapToLines(paragraphs.join(" "), textWidth, subtitleSize, 3);
+  const ruleHeight = 8;
+  const gap = subtitleSize * 1.2;
+  const titleHeight = textBlockHeight(title.lines, title.fontSize, titleLineHeight);
+  const subtitleHeight = textBlockHeight(subtitleLines, subtitleSize, subtitleLineHeight);
+  const top = Math.round((height - titleHeight - (subtitleHeight ? gap * 2 + ruleHeight + subtitleHeight : 0)) / 2);
+
+  let textSvg = textBlockAt(top, {
+    x,
+    lines: title.lines,
+    fontSize: title.fontSize,
+    className: "hl",
+    lineHeight: titleLineHeight,
+    align: "center",
+    width: textWidth,
+    fontFamily,
+    fontWeight: headlineFontWeight,
+    isVariable: isVariableFont
+  });
+  if (subtitleHeight) {
+    const ruleY = Math.round(top + titleHeight + gap);
+    const ruleWidth = 160;
+    textSvg += `<rect x="${Math.round((width - ruleWidth) / 2)}" y="${ruleY}" width="${ruleWidth}" height="${ruleHeight}" rx="${ruleHeight / 2}" fill="${accent}"/>`;
+    textSvg += textBlockAt(ruleY + ruleHeight + gap, {
+      x,
+      lines: subtitleLines,
+      fontSize: subtitleSize,
+      className: "body",
+      lineHeight: subtitleLineHeight,
+      align: "center",
+      width: textWidth,
+      fontFamily,
+      fontWeight: bodyFontWeight,
+      isVariable: isVariableFont,
+      opacity: 0.9
+    });
+  }
+  return { textSvg, frame: null };
+}
+
+function layoutStat(context) {
+  const {
+    width,
+    height,
+    pad,
+    orientation,
+    paragraphs,
+    stat,
+    headlineFontSize,
+    bodyFontSize,
+    headlineFontWeight,
+    bodyFontWeight,
+    isVariableFont,
+    fontFamily,
+    accent
+  } = context;
+  const heading = renderTopHeadline(context);
+  const textWidth = orientation === "16:9" ? Math.round(width * 0.72) : width - pad * 2;
+  const x = Math.round((width - textWidth) / 2);
+  const value = String(stat?.value ?? "").trim();
+  // Display size, shrunk until the figure fits on one line.
+  const valueSize = Math.round(
+    Math.min(headlineFontSize * 3.4, (textWidth * headlineFontSize) / Math.max(1, estimateLineWidth(value, headlineFontSize)))
+  );
+  const labelSize = Math.round(bodyFontSize * 1.3);
+  const labelLineHeight = labelSize * 1.3;
+  const labelLines = wrapToLines(String(stat?.label ?? ""), textWidth, labelSize, 2);
+  const noteLineHeight = bodyFontSize * 1.4;
+  const noteLines = wrapToLines(paragraphs[0] ?? "", textWidth, bodyFontSize, 3);
+  const labelGap = labelLines.length ? bodyFontSize * 1.5 : 0;
+  const noteGap = noteLines.length ? bodyFontSize * 1.6 : 0;
+  const valueHeight = valueSize * 0.85;
+  const labelHeight = textBlockHeight(labelLines, labelSize, labelLineHeight);
+  const blockHeight = valueHeight + labelGap + labelHeight + noteGap + textBlockHeight(noteLines, bodyFontSize, noteLineHeight);
+  const top = Math.round(heading.bottom + Math.max(0, (height - pad - heading.bottom - blockHeight) / 2));
+  const shared = { x, align: "center", width: textWidth, fontFamily, isVariable: isVariableFont };
+
+  const textSvg = [
+    heading.svg,
+    textBlockAt(top, {
+      ...shared,
+      lines: [value],
+      fontSize: valueSize,
+      className: "hl",
+      lineHeight: valueSize,
+      fontWeight: headlineFontWeight,
+      fill: accent
+    }),
+    textBlockAt(top + valueHeight + labelGap, {
+      ...shared,
+      lines: labelLines,
+      fontSize: labelSize,
+      className: "hl",
+      lineHeight: labelLineHeight,
+      fontWeight: headlineFontWeight
+    }),
+    textBlockAt(top + valueHeight + labelGap + labelHeight + noteGap, {
+      ...shared,
+      lines: noteLines,
+      fontSize: bodyFontSize,
+      className: "body",
+      lineHeight: noteLineHeight,
+      fontWeight: bodyFontWeight,
+      opacity: 0.85
+    })
+  ].join("");
+  return { textSvg, frame: null };
+}
+
+function layoutQuote(context) {
+  const {
+    width,
+    height,
+    pad,
+    orientation,
+    quote,
+    headlineFontSize,
+    bodyFontSize,
+    headlineFontWeight,
+    bodyFontWeight,
+    isVariableFont,
+    fontFamily,
+    accent
+  } = context;
+  const heading = renderTopHeadline(context);
+  const textWidth = orientation === "16:9" ? Math.round(width * 0.72) : width - pad * 2;
+  const x = Math.round((width - textWidth) / 2);
+  const text = fitText(
+    String(quote?.text ?? ""),
+    textWidth,
+    [1.7, 1.45, 1.25, 1.1].map((scale) => Math.round(bodyFontSize * scale)),
+    orientation === "16:9" ? 5 : 8
+  );
+  const textLineHeight = text.fontSize * 1.35;
+  const attribution = String(quote?.attribution ?? "").trim();
+  const attributionLineHeight = bodyFontSize * 1.4;
+  const attributionLines = attribution ? wrapToLines(`\u2014 ${attribution}`, textWidth, bodyFontSize, 2) : [];
+  const markSize = Math.round(headlineFontSize * 2.4);
+  // Only the top of the quotation mark's em box is inked.
+  const markHeight = markSize * 0.6;
+  const textHeight = textBlockHeight(text.lines, text.fontSize, textLineHeight);
+  const attributionGap = attributionLines.length ? bodyFontSize * 1.4 : 0;
+  const blockHeight = markHeight + textHeight + attributionGap + textBlockHeight(attributionLines, bodyFontSize, attributionLineHeight);
+  const top = Math.round(heading.bottom + Math.max(0, (height - pad - heading.bottom - blockHeight) / 2));
+  const shared = { x, align: "center", width: textWidth, fontFamily, isVariable: isVariableFont };
+
+  const textSvg = [
+    heading.svg,
+    textBlockAt(top, {
+      ...shared,
+      lines: ["\u201C"],
+      fontSize: markSize,
+      className: "hl",
+      lineHeight: markSize,
+      fontWeight: headlineFontWeight,
+      fill: accent
+    }),
+    textBlockAt(top + markHeight, {
+      ...shared,
+      lines: text.lines,
+      fontSize: text.fontSize,
+      className: "body",
+      lineHeight: textLineHeight,
+      fontWeight: bodyFontWeight
+    }),
+    textBlockAt(top + markHeight + textHeight + attributionGap, {
+      ...shared,
+      lines: attributionLines,
+      fontSize: bodyFontSize,
+      className: "body",
+      lineHeight: attributionLineHeight,
+      fontWeight: bodyFontWeight,
+      fill: accent
+    })
+  ].join("");
+  return { textSvg, frame: null };
+}
+
+function layoutComparison(context) {
+  const { width, height, pad, orientation, columns, accent } = context;
+  const heading = renderTopHeadline(context);
+  const bottom = height - pad;
+  const gap = pad * 1.5;
+  const pair = (Array.isArray(columns) ? columns : []).slice(0, 2);
+  const line = (x1, y1, x2, y2) =>
+    `<line x1="${roundCoord(x1)}" y1="${roundCoord(y1)}" x2="${roundCoord(x2)}" y2="${roundCoord(y2)}" stroke="${accent}" stroke-width="3" stroke-opacity="0.5"/>`;
+  let textSvg = heading.svg;
+
+  // Columns are measured first so the pair can be centred in the space under the headline.
+  if (orientation === "16:9" || orientation === "1:1") {
+    const columnWidth = Math.round((width - pad * 2 - gap) / 2);
+    const measured = pair.map((column, index) =>
+      renderComparisonColumn(column, context, { x: pad + index * (columnWidth + gap), y: 0, width: columnWidth })
+    );
+    const blockHeight = Math.max(...measured.map((column) => column.height));
+    const top = heading.bottom + Math.max(0, (bottom - heading.bottom - blockHeight) / 2);
+    pair.forEach((column, index) => {
+      textSvg += renderComparisonColumn(column, context, { x: pad + index * (columnWidth + gap), y: top, width: columnWidth }).svg;
+    });
+    textSvg += line(width / 2, top, width / 2, top + blockHeight);
+  } else {
+    const [first, second] = pair.map((column) => renderComparisonColumn(column, context, { x: pad, y: 0, width: width - pad * 2 }));
+    const top = heading.bottom + Math.max(0, (bottom - heading.bottom - first.height - gap - second.height) / 2);
+    textSvg += renderComparisonColumn(pair[0], context, { x: pad, y: top, width: width - pad * 2 }).svg;
+    textSvg += line(pad, top + first.height + gap / 2, width - pad, top + first.height + gap / 2);
+    textSvg += renderComparisonColumn(pair[1], context, { x: pad, y: top + first.height + gap, width: width - pad * 2 }).svg;
+  }
+  return { textSvg, frame: null };
+}
+
+function renderComparisonColumn(column, context, { x, y, width }) {
+  const { bodyFontSize, headlineFontWeight, bodyFontWeight, isVariableFont, fontFamily, bullet, accent } = context;
+  const titleSize = Math.round(bodyFontSize * 1.4);
+  const titleLineHeight = titleSize * 1.1;
+  const titleLines = wrapToLines(String(column?.title ?? ""), width, titleSize, 2);
+  const titleSvg = textBlockAt(y, {
+    x,
+    lines: titleLines,
+    fontSize: titleSize,
+    className: "hl",
+    lineHeight: titleLineHeight,
+    width,
+    fontFamily,
+    fontWeight: headlineFontWeight,
+    isVariable: isVariableFont,
+    fill: accent
+  });
+  const pointsTop = y + (titleLines.length ? textBlockHeight(titleLines, titleSize, titleLineHeight) + bodyFontSize : 0);
+  const points = renderParagraphs({
+    x,
+    startY: pointsTop - bodyFontSize,
+    width,
+    paragraphs: sanitizeParagraphs(column?.points),
+    fontSize: bodyFontSize,
+    lineHeight: bodyFontSize * 1.4,
+    fontFamily,
+    fontWeight: bodyFontWeight,
+    isVariable: isVariableFont,
+    bullet,
+    bulletColor: accent
+  });
+  // renderParagraphs leaves a paragraph gap after the last point.
+  return { svg: `${titleSvg}${points.svg}`, height: points.endY - bodyFontSize * 0.85 - y };
+}
+
+function layoutFullBleed({
+  width,
+  height,
+  pad,
+  orientation,
+  headline,
+  paragraphs,
+  headlineFontSize,
+  bodyFontSize,
+  headlineFontWeight,
+  bodyFontWeight,
+  isVariableFont,
+  fontFamily,
+  background,
+  backdrop
+}) {
+  const textWidth = orientation === "16:9" ? Math.round(width * 0.66) : width - pad * 2;
+  const align = orientation === "16:9" ? "left" : "center";
+  const headlineLineHeight = headlineFontSize * 1.05;
+  const headlineLines = wrapToLines(headline, textWidth, headlineFontSize, 3);
+  const bodyLineHeight = bodyFontSize * 1.4;
+  const bodyLines = wrapToLines(paragraphs[0] ?? "", textWidth, bodyFontSize, 2);
+  const headlineHeight = textBlockHeight(headlineLines, headlineFontSize, headlineLineHeight);
+  const bodyGap = bodyLines.length ? bodyFontSize * 0.9 : 0;
+  // The text sits on the bottom edge, above the caption margin.
+  const top = Math.round(height - pad * 1.5 - headlineHeight - bodyGap - textBlockHeight(bodyLines, bodyFontSize, bodyLineHeight));
+  const shared = { x: pad, align, width: textWidth, fontFamily, isVariable: isVariableFont };
+
+  const backdropSvg = backdrop
+    ? `<defs>
+        <linearGradient id="bleedScrim" x1="0" y1="0" x2="0" y2="1">
+          <stop offset="0.35" stop-color="${background}" stop-opacity="0"/>
+          <stop offset="1" stop-color="${background}" stop-opacity="0.9"/>
+        </linearGradient>
+      </defs>
+      <image href="data:image/png;base64,${backdrop.toString("base64")}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice"/>
+      <rect x="0" y="0" width="${width}" height="${height}" fill="url(#bleedScrim)"/>`
+    : "";
+  const textSvg = [
+    textBlockAt(top, {
+      ...shared,
+      lines: headlineLines,
+      fontSize: headlineFontSize,
+      className: "hl",
+      lineHeight: headlineLineHeight,
+      fontWeight: headlineFontWeight
+    }),
+    textBlockAt(top + headlineHeight + bodyGap, {
+      ...shared,
+      lines: bodyLines,
+      fontSize: bodyFontSize,
+      className: "body",
+      lineHeight: bodyLineHeight,
+      fontWeight: bodyFontWeight
+    })
+  ].join("");
+  return { textSvg, frame: null, backdropSvg };
+}
+
+function layoutTimeline(context) {
+  const { width, height, pad, orientation, timeline, bodyFontSize, headlineFontWeight, bodyFontWeight, isVariableFont, fontFamily, accent } =
+    context;
+  const heading = renderTopHeadline(context);
+  const entries = (Array.isArray(timeline) ? timeline : []).filter((entry) => String(entry?.label ?? "").trim());
+  const labelSize = Math.round(bodyFontSize * 1.4);
+  const labelLineHeight = labelSize * 1.1;
+  const textSize = bodyFontSize;
+  const textLineHeight = textSize * 1.35;
+  const dotRadius = 14;
+  const label = (lines, x, top, options) =>
+    textBlockAt(top, {
+      x,
+      lines,
+      fontSize: labelSize,
+      className: "hl",
+      lineHeight: labelLineHeight,
+      fontFamily,
+      fontWeight: headlineFontWeight,
+      isVariable: isVariableFont,
+      fill: accent,
+      ...options
+    });
+  const text = (lines, x, top, options) =>
+    textBlockAt(top, {
+      x,
+      lines,
+      fontSize: textSize,
+      className: "body",
+      lineHeight: textLineHeight,
+      fontFamily,
+      fontWeight: bodyFontWeight,
+      isVariable: isVariableFont,
+      ...options
+    });
+  let textSvg = heading.svg;
+
+  if (orientation === "16:9") {
+    // Labels above a horizontal line, descriptions below it.
+    const slot = (width - pad * 2) / entries.length;
+    const columnWidth = slot * 0.88;
+    const axisY = Math.round(heading.bottom + (height - pad - heading.bottom) * 0.4);
+    const first = pad + slot / 2;
+    textSvg += `<line x1="${roundCoord(first)}" y1="${axisY}" x2="${roundCoord(first + slot * (entries.length - 1))}" y2="${axisY}" stroke="${accent}" stroke-width="4" stroke-opacity="0.6"/>`;
+    entries.forEach((entry, index) => {
+      const cx = first + slot * index;
+      const x = roundCoord(cx - columnWidth / 2);
+      const labelLines = wrapToLines(entry.label, columnWidth, labelSize, 2);
+      const labelTop = axisY - dotRadius - labelSize * 0.8 - textBlockHeight(labelLines, labelSize, labelLineHeight);
+      textSvg += `<circle cx="${roundCoord(cx)}" cy="${axisY}" r="${dotRadius}" fill="${accent}"/>`;
+      textSvg += label(labelLines, x, labelTop, { align: "center", width: columnWidth });
+      textSvg += text(wrapToLines(String(entry.text ?? ""), columnWidth, textSize, 5), x, axisY + dotRadius + textSize, {
+        align: "center",
+        width: columnWidth
+      });
+    });
+  } else {
+    // A vertical line down the left with each entry beside its dot, centred when the entries are short.
+    const available = height - pad * 1.5 - heading.bottom;
+    const slot = Math.min(available / entries.length, labelLineHeight + textLineHeight * 4 + pad);
+    const top = heading.bottom + (available - slot * entries.length) / 2;
+    const axisX = pad + dotRadius;
+    const x = axisX + dotRadius + pad / 2;
+    const columnWidth = width - pad - x;
+    const dotY = (index) => roundCoord(top + slot * index + labelSize * 0.45);
+    textSvg += `<line x1="${axisX}" y1="${dotY(0)}" x2="${axisX}" y2="${dotY(entries.length - 1)}" stroke="${accent}" stroke-width="4" stroke-opacity="0.6"/>`;
+    entries.forEach((entry, index) => {
+      const entryTop = top + slot * index;
+      const labelLines = wrapToLines(entry.label, columnWidth, labelSize, 1);
+      textSvg += `<circle cx="${axisX}" cy="${dotY(index)}" r="${dotRadius}" fill="${accent}"/>`;
+      textSvg += label(labelLines, x, entryTop, { width: columnWidth });
+      const maxLines = Math.max(1, Math.floor((slot - labelLineHeight - textSize) / textLineHeight));
+      textSvg += text(wrapToLines(String(entry.text ?? ""), columnWidth, textSize, maxLines), x, entryTop + labelLineHeight + textSize * 0.6, {
+        width: columnWidth
+      });
+    });
+  }
+  return { textSvg, frame: null };
+}
+
+function layoutChartFocus(context) {
+  const { width, height, pad } = context;
+  const heading = renderTopHeadline(context);
+  return {
+    textSvg: heading.svg,
+    frame: { x: pad, y: Math.round(heading.bottom), width: width - pad * 2, height: Math.round(height - pad - heading.bottom) }
+  };
+}
+
 function renderParagraphs({
   x,
   startY,
@@ -217,12 +1020,15 @@ function renderParagraphs({
   fontSize,
   lineHeight,
   align = "left",
+  fontFamily,
   fontWeight,
   isVariable,
-  includeBullets = true
+  bullet = "dot",
+  bulletColor
 }) {
   let cursorY = startY;
   let svg = "";
+  const includeBullets = bullet !== "none";
 
   if (align !== "left") {
     const maxWidth = Math.max(0, width);
@@ -230,7 +1036,7 @@ function renderParagraphs({
       const wrapped = wrapTextByWidth(paragraph, maxWidth, fontSize);
       if (!wrapped.length) return;
 
-      const renderedLines = includeBullets ? addBulletPrefix(wrapped) : wrapped;
+      const renderedLines = includeBullets ? addBulletPrefix(wrapped, bullet) : wrapped;
       svg += renderTextBlock({
         x,
         y: cursorY,
@@ -240,6 +1046,7 @@ function renderParagraphs({
         lineHeight,
         align,
         width,
+        fontFamily,
         fontWeight,
         isVariable
       });
@@ -259,8 +1066,7 @@ function renderParagraphs({
     if (!wrappedLines.length) return;
 
     if (includeBullets) {
-      const circleY = cursorY + fontSize * 0.9;
-      svg += `<circle cx="${bulletX}" cy="${circleY}" r="${bulletRadius}" fill="${FG_COLOR}"/>`;
+      svg += renderBulletMarker(bullet, bulletX, cursorY + fontSize * 0.9, bulletRadius, bulletColor);
       svg += renderTextBlock({
         x: textX,
         y: cursorY,
@@ -270,6 +1076,7 @@ function renderParagraphs({
         lineHeight,
         align,
         width: adjustedWidth,
+        fontFamily,
         fontWeight,
         isVariable
       });
@@ -283,6 +1090,7 @@ function renderParagraphs({
         lineHeight,
         align,
         width: width,
+        fontFamily,
         fontWeight,
         isVariable
       });
@@ -293,6 +1101,17 @@ function renderParagraphs({
   return { svg, endY: cursorY };
 }
 
+function renderBulletMarker(bullet, cx, cy, radius, color) {
+  if (bullet === "dash") {
+    const thickness = radius * 0.55;
+    return `<rect x="${cx - radius}" y="${cy - thickness / 2}" width="${radius * 2}" height="${thickness}" rx="${thickness / 2}" fill="${color}"/>`;
+  }
+  if (bullet === "arrow") {
+    return `<path d="M${cx - radius},${cy} H${cx + radius} M${cx + radius * 0.1},${cy - radius * 0.8} L${cx + radius},${cy} L${cx + radius * 0.1},${cy + radius * 0.8}" fill="none" stroke="${color}" stroke-width="${radius * 0.45}" stroke-linecap="round" stroke-linejoin="round"/>`;
+  }
+  return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"/>`;
+}
+
 function renderTextBlock({
   x,
   y,
@@ -302,8 +1121,11 @@ function renderTextBlock({
   lineHeight,
   align = "left",
   width,
+  fontFamily,
   fontWeight,
-  isVariable
+  isVariable,
+  fill,
+  opacity
 }) {
   if (!lines.length) return "";
   const anchor = align === "center" ? "middle" : align === "right" ? "end" : "start";
@@ -323,9 +1145,248 @@ function renderTextBlock({
     })
     .join("");
 
-  const styleAttr = variationSettings ? ` style="${variationSettings}"` : "";
+  // The class sets the foreground colour, so a different fill has to go in the inline style.
+  const inline = `${fill ? `fill:${fill};` : ""}${variationSettings}`;
+  const styleAttr = inline ? ` style="${inline}"` : "";
+  const opacityAttr = opacity ? ` opacity="${opacity}"` : "";
 
-  return `<text class="${className}" font-family="${FONT_FAMILY}" font-size="${fontSize}" font-weight="${resolvedWeight}"${styleAttr} text-anchor="${anchor}" dominant-baseline="hanging" x="${textX}" y="${y}">${tspans}</text>`;
+  return `<text class="${className}" font-family="${escapeXML(fontFamily)}" font-size="${fontSize}" font-weight="${resolvedWeight}"${styleAttr}${opacityAttr} text-anchor="${anchor}" dominant-baseline="hanging" x="${textX}" y="${y}">${tspans}</text>`;
+}
+
+// At most 12 categories and 6 series; series without numbers are dropped. Pies need at least one
+// positive value in their first series.
+function normalizeChart(chart) {
+  if (!chart || !CHART_TYPES.includes(chart.type)) return null;
+  const categories = (Array.isArray(chart.categories) ? chart.categories : [])
+    .map((category) => String(category ?? "").trim())
+    .slice(0, 12);
+  if (!categories.length) return null;
+  const series = (Array.isArray(chart.series) ? chart.series : [])
+    .map((entry, index) => ({
+      label: String(entry?.label ?? "").trim() || `Series ${index + 1}`,
+      values: categories.map((_, position) => {
+        const value = Number(entry?.values?.[position]);
+        return Number.isFinite(value) ? value : null;
+      })
+    }))
+    .filter((entry) => entry.values.some((value) => value !== null))
+    .slice(0, MAX_CHART_SERIES);
+  if (!series.length) return null;
+  if (chart.type === "pie" && !series[0].values.some((value) => value > 0)) return null;
+  return { type: chart.type, categories, series };
+}
+
+function renderChart(chart, frame, style) {
+  const box = {
+    x: frame.x + CHART_INSET,
+    y: frame.y + CHART_INSET,
+    width: frame.width - CHART_INSET * 2,
+    height: frame.height - CHART_INSET * 2
+  };
+  const fontSize = Math.round(Math.max(16, Math.min(CHART_FONT_SIZE, box.height / 18)));
+  return chart.type === "pie"
+    ? renderPieChart(chart, box, fontSize, style)
+    : renderAxisChart(chart, box, fontSize, style);
+}
+
+function renderAxisChart(chart, box, fontSize, style) {
+  const { categories, series } = chart;
+  const legend = renderLegend(
+    series.map((entry, index) => ({ label: entry.label, color: style.palette[index % style.palette.length] })),
+    { x: box.x, y: box.y, width: box.width, fontSize, style }
+  );
+
+  const values = series.flatMap((entry) => entry.values).filter((value) => value !== null);
+  const ticks = niceTicks(Math.min(0, ...values), Math.max(0, ...values));
+  const scale = Math.max(...ticks.map(Math.abs));
+  const format = (value) => formatChartValue(value, scale);
+  const tickLabels = ticks.map(format);
+  const axisWidth = Math.max(...tickLabels.map((label) => estimateLineWidth(label, fontSize))) + fontSize * 0.8;
+  const plot = {
+    x: box.x + axisWidth,
+    y: box.y + legend.height + fontSize * 1.6,
+    width: box.width - axisWidth,
+    height: box.height - legend.height - fontSize * 1.6 - fontSize * 2
+  };
+  const minTick = ticks[0];
+  const maxTick = ticks[ticks.length - 1];
+  const yFor = (value) => plot.y + plot.height - ((value - minTick) / (maxTick - minTick)) * plot.height;
+  const zeroY = yFor(0);
+  const slot = plot.width / categories.length;
+
+  let svg = legend.svg;
+  ticks.forEach((tick, index) => {
+    const y = roundCoord(yFor(tick));
+    svg += `<line x1="${roundCoord(plot.x)}" y1="${y}" x2="${roundCoord(plot.x + plot.width)}" y2="${y}" stroke="${style.foreground}" stroke-opacity="${tick === 0 ? 0.7 : 0.18}" stroke-width="${tick === 0 ? 3 : 2}"/>`;
+    svg += chartText({ x: plot.x - fontSize * 0.5, y, text: tickLabels[index], fontSize, anchor: "end", opacity: 0.8, weight: style.bodyFontWeight, style });
+  });
+  svg += `<line x1="${roundCoord(plot.x)}" y1="${roundCoord(plot.y)}" x2="${roundCoord(plot.x)}" y2="${roundCoord(plot.y + plot.height)}" stroke="${style.foreground}" stroke-opacity="0.7" stroke-width="3"/>`;
+
+  // Category labels are shortened to their slot; with many categories only every other one is shown.
+  const labelEvery = categories.length > 8 ? 2 : 1;
+  categories.forEach((category, index) => {
+    if (index % labelEvery) return;
+    const [label = ""] = truncateToOneLine(category, slot * labelEvery - fontSize * 0.4, fontSize);
+    svg += chartText({ x: plot.x + slot * (index + 0.5), y: plot.y + plot.height + fontSize * 1.1, text: label, fontSize, opacity: 0.9, weight: style.bodyFontWeight, style });
+  });
+
+  const valueFontSize = Math.round(fontSize * 0.9);
+  if (chart.type === "bar") {
+    const groupWidth = slot * 0.72;
+    const barWidth = groupWidth / series.length;
+    const annotate = barWidth >= estimateLineWidth("000", valueFontSize);
+    series.forEach((entry, seriesIndex) => {
+      entry.values.forEach((value, index) => {
+        if (value === null) return;
+        const x = plot.x + slot * index + (slot - groupWidth) / 2 + barWidth * seriesIndex;
+        const y = Math.min(yFor(value), zeroY);
+        const barHeight = Math.max(2, Math.abs(yFor(value) - zeroY));
+        svg += `<rect x="${roundCoord(x + 2)}" y="${roundCoord(y)}" width="${roundCoord(Math.max(2, barWidth - 4))}" height="${roundCoord(barHeight)}" rx="4" fill="${style.palette[seriesIndex % style.palette.length]}"/>`;
+        if (annotate) {
+          const text = format(value);
+          svg += chartText({
+            x: x + barWidth / 2,
+            y: value < 0 ? y + barHeight + valueFontSize * 0.8 : y - valueFontSize * 0.8,
+            text,
+            fontSize: Math.min(valueFontSize, Math.floor((valueFontSize * barWidth) / estimateLineWidth(text, valueFontSize))),
+            weight: style.headlineFontWeight,
+            style
+          });
+        }
+      });
+    });
+    return svg;
+  }
+
+  // Line charts label every point while that stays readable, otherwise only each series' last value.
+  const annotateAll = categories.length * series.length <= 16;
+  series.forEach((entry, seriesIndex) => {
+    const color = style.palette[seriesIndex % style.palette.length];
+    const points = entry.values
+      .map((value, index) => (value === null ? null : { x: plot.x + slot * (index + 0.5), y: yFor(value), value }))
+      .filter(Boolean);
+    if (points.length > 1) {
+      svg += `<polyline points="${points.map((point) => `${roundCoord(point.x)},${roundCoord(point.y)}`).join(" ")}" fill="none" stroke="${color}" stroke-width="5" stroke-linejoin="round" stroke-linecap="round"/>`;
+    }
+    points.forEach((point, index) => {
+      svg += `<circle cx="${roundCoord(point.x)}" cy="${roundCoord(point.y)}" r="7" fill="${style.background}" stroke="${color}" stroke-width="4"/>`;
+      if (annotateAll || index === points.length - 1) {
+        svg += chartText({ x: point.x, y: point.y - valueFontSize, text: format(point.value), fontSize: valueFontSize, weight: style.headlineFontWeight, style });
+      }
+    });
+  });
+  return svg;
+}
+
+// Pies show the first series; slices are labelled with their share and the legend carries the values.
+function renderPieChart(chart, box, fontSize, style) {
+  const [entry] = chart.series;
+  const slices = chart.categories
+    .map((category, index) => ({ category, value: entry.values[index], color: style.palette[index % style.palette.length] }))
+    .filter((slice) => slice.value > 0);
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  const scale = Math.max(...slices.map((slice) => slice.value));
+  const legend = renderLegend(
+    slices.map((slice) => ({ label: `${slice.category}: ${formatChartValue(slice.value, scale)}`, color: slice.color })),
+    { x: box.x, y: box.y, width: box.width, fontSize, style }
+  );
+  const radius = Math.max(40, Math.min(box.width, box.height - legend.height - fontSize) / 2);
+  const cx = box.x + box.width / 2;
+  const cy = box.y + legend.height + fontSize + (box.height - legend.height - fontSize) / 2;
+
+  let svg = legend.svg;
+  if (slices.length === 1) {
+    svg += `<circle cx="${roundCoord(cx)}" cy="${roundCoord(cy)}" r="${roundCoord(radius)}" fill="${slices[0].color}" stroke="${style.background}" stroke-width="4"/>`;
+  }
+  let angle = -Math.PI / 2;
+  slices.forEach((slice) => {
+    const sweep = (slice.value / total) * Math.PI * 2;
+    const end = angle + sweep;
+    if (slices.length > 1) {
+      const start = polarPoint(cx, cy, radius, angle);
+      const stop = polarPoint(cx, cy, radius, end);
+      svg += `<path d="M${roundCoord(cx)},${roundCoord(cy)} L${start} A${roundCoord(radius)},${roundCoord(radius)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${stop} Z" fill="${slice.color}" stroke="${style.background}" stroke-width="4" stroke-linejoin="round"/>`;
+    }
+    // Labels go on slices wide enough to hold them, in the slide background colour for contrast.
+    if (sweep >= 0.35) {
+      const [x, y] = polarPoint(cx, cy, radius * 0.64, angle + sweep / 2).split(",").map(Number);
+      svg += chartText({ x, y, text: `${Math.round((slice.value / total) * 100)}%`, fontSize: Math.round(fontSize * 1.1), weight: style.headlineFontWeight, fill: style.background, style });
+    }
+    angle = end;
+  });
+  return svg;
+}
+
+function renderLegend(items, { x, y, width, fontSize, style }) {
+  const swatch = fontSize * 0.8;
+  const gap = fontSize * 1.2;
+  const rowHeight = fontSize * 1.6;
+  const maxLabelWidth = width - swatch - fontSize * 0.5;
+  const rows = [];
+  items.forEach((item) => {
+    const [label = ""] = truncateToOneLine(item.label, maxLabelWidth, fontSize);
+    const itemWidth = swatch + fontSize * 0.4 + estimateLineWidth(label, fontSize);
+    const row = rows[rows.length - 1];
+    if (row && row.width + gap + itemWidth <= width) {
+      row.items.push({ ...item, label, width: itemWidth });
+      row.width += gap + itemWidth;
+    } else {
+      rows.push({ items: [{ ...item, label, width: itemWidth }], width: itemWidth });
+    }
+  });
+
+  let svg = "";
+  rows.forEach((row, rowIndex) => {
+    let cursorX = x + (width - row.width) / 2;
+    const centerY = y + rowHeight * rowIndex + rowHeight / 2;
+    row.items.forEach((item) => {
+      svg += `<rect x="${roundCoord(cursorX)}" y="${roundCoord(centerY - swatch / 2)}" width="${roundCoord(swatch)}" height="${roundCoord(swatch)}" rx="4" fill="${item.color}"/>`;
+      svg += chartText({ x: cursorX + swatch + fontSize * 0.4, y: centerY, text: item.label, fontSize, anchor: "start", weight: style.bodyFontWeight, style });
+      cursorX += item.width + gap;
+    });
+  });
+  return { svg, height: rows.length * rowHeight };
+}
+
+function chartText({ x, y, text, fontSize, anchor = "middle", weight, opacity, fill, style }) {
+  if (!text) return "";
+  // The class sets the foreground colour, so a different fill has to go in the inline style.
+  const inline = `${fill ? `fill:${fill};` : ""}${style.isVariable && weight ? `font-variation-settings:'wght' ${weight};` : ""}`;
+  const styleAttr = inline ? ` style="${inline}"` : "";
+  const opacityAttr = opacity ? ` opacity="${opacity}"` : "";
+  return `<text class="body" font-family="${escapeXML(style.fontFamily)}" font-size="${fontSize}" font-weight="${weight}"${styleAttr}${opacityAttr} text-anchor="${anchor}" dominant-baseline="central" x="${roundCoord(x)}" y="${roundCoord(y)}">${escapeXML(text)}</text>`;
+}
+
+// Axis ticks at 1, 2, 2.5 or 5 times a power of ten, always including zero.
+function niceTicks(min, max, count = 5) {
+  const low = min;
+  const high = max === min ? min + 1 : max;
+  const rawStep = (high - low) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 2.5, 5, 10].map((factor) => factor * magnitude).find((candidate) => candidate >= rawStep);
+  const start = Math.floor(low / step) * step;
+  const end = Math.ceil(high / step) * step;
+  const ticks = [];
+  for (let tick = start; tick <= end + step / 2; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+}
+
+// Every label in a chart uses the notation of its largest value, so 52K sits next to 4K rather than 4,000.
+function formatChartValue(value, scale = Math.abs(value)) {
+  return new Intl.NumberFormat("en-US", {
+    notation: scale >= 10000 ? "compact" : "standard",
+    maximumFractionDigits: scale < 10 ? 2 : 1
+  }).format(value);
+}
+
+function polarPoint(cx, cy, radius, angle) {
+  return `${roundCoord(cx + radius * Math.cos(angle))},${roundCoord(cy + radius * Math.sin(angle))}`;
+}
+
+function roundCoord(value) {
+  return Math.round(value * 10) / 10;
 }
 
 function wrapText(text, maxChars) {
@@ -351,11 +1412,13 @@ function wrapText(text, maxChars) {
   return lines;
 }
 
-function wrapHeadlineWithWidth(text, totalWidth, fontSize) {
-  const usableWidth = Math.max(0, totalWidth * 0.44 - PAD * 1.5);
+// Headlines are set on two or three lines of the layout's headline width: a one-line headline is
+// split in half, and whatever does not fit on three lines is cut.
+function wrapHeadlineWithWidth(text, maxWidth, fontSize) {
+  const usableWidth = Math.max(0, maxWidth);
   if (!usableWidth) return [];
 
-  const lines = wrapTextByWidth(text, usableWidth, fontSize, 2);
+  const lines = wrapToLines(text, usableWidth, fontSize, 3);
   if (!lines.length) {
     return [];
   }
@@ -388,12 +1451,6 @@ function wrapHeadlineWithWidth(text, totalWidth, fontSize) {
     return [first, second];
   }
 
-  if (lines.length > 2) {
-    const first = lines[0];
-    const remainder = lines.slice(1).join(' ').trim();
-    return remainder ? [first, remainder] : [first, lines[1]];
-  }
-
   return lines;
 }
 
@@ -456,6 +1513,27 @@ function wrapTextByWidth(text, maxWidth, fontSize, maxLines = Infinity) {
   return lines;
 }
 
+function truncateToOneLine(text, maxWidth, fontSize) {
+  const [first, ...rest] = wrapTextByWidth(text, maxWidth, fontSize, 1);
+  return first ? [rest.length ? `${first}...` : first] : [];
+}
+
+// Like truncateToOneLine for several lines: whatever does not fit on the last one is cut.
+function wrapToLines(text, maxWidth, fontSize, maxLines) {
+  const lines = wrapTextByWidth(text, maxWidth, fontSize, maxLines);
+  return lines.length > maxLines ? [...lines.slice(0, maxLines - 1), `${lines[maxLines - 1]}...`] : lines;
+}
+
+// The largest of `sizes` at which the text fits in `maxLines`; the smallest one is truncated.
+function fitText(text, maxWidth, sizes, maxLines) {
+  for (const fontSize of sizes) {
+    const lines = wrapTextByWidth(text, maxWidth, fontSize);
+    if (lines.length <= maxLines) return { lines, fontSize };
+  }
+  const fontSize = sizes[sizes.length - 1];
+  return { lines: wrapToLines(text, maxWidth, fontSize, maxLines), fontSize };
+}
+
 function splitWordToFit(word, maxWidth, fontSize) {
   if (maxWidth <= 0) return [word];
   const segments = [];
@@ -496,8 +1574,9 @@ function estimateLineWidth(value, fontSize) {
   return width + Math.max(0, value.length - 1) * fontSize * 0.04;
 }
 
-function addBulletPrefix(lines) {
-  return lines.map((line, index) => (index === 0 ? `\u2022 ${line}` : `  ${line}`));
+function addBulletPrefix(lines, bullet) {
+  const glyph = BULLET_GLYPHS[bullet] ?? BULLET_GLYPHS.dot;
+  return lines.map((line, index) => (index === 0 ? `${glyph} ${line}` : `  ${line}`));
 }
 
 function sanitizeParagraphs(values) {
@@ -511,7 +1590,7 @@ function sanitizeParagraphs(values) {
 }
 
 function escapeXML(value) {
-  return String(value || "").replace(/[&<>]/g, (ch) => {
+  return String(value || "").replace(/[&<>"]/g, (ch) => {
     return ch === '&'
       ? '&amp;'
       : ch === '<'
@@ -522,9 +1601,6 @@ function escapeXML(value) {
   });
 }
 
-function normalizeOrientation(value) {
-  return value === "16:9" ? "16:9" : "9:16";
-}
 
 
 
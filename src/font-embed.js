@@ -11,9 +11,14 @@ const EXTENSION_META = new Map([
   [".otf", { mime: "font/otf", format: "opentype", priority: 2 }]
 ]);
 
-let cachedCss;
+// TrueType (0x00010000 or "true") and CFF-flavoured OpenType ("OTTO") files.
+const SFNT_SIGNATURES = new Set([0x00010000, 0x74727565, 0x4f54544f]);
+const WINDOWS_ENGLISH = 0x409;
+
+let cachedFaceCss;
 let cachedMeta;
 let cachedCollection;
+const registeredFaces = new Map();
 
 function inferWeightFromName(name) {
   const lower = name.toLowerCase();
@@ -127,7 +132,108 @@ async function loadFontCollection() {
   return cachedCollection;
 }
 
-export async function fontMeta() {
+// Family name, weight class, italic flag and variable-ness from the sfnt tables. The typographic family
+// (name ID 16) wins over the legacy one (ID 1), which is how resvg matches font-family.
+export function readFontInfo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12 || !SFNT_SIGNATURES.has(buffer.readUInt32BE(0))) {
+    throw new Error("Not a TrueType or OpenType font");
+  }
+  const tables = new Map();
+  const numTables = buffer.readUInt16BE(4);
+  for (let i = 0; i < numTables; i += 1) {
+    const record = 12 + i * 16;
+    if (record + 16 > buffer.length) break;
+    tables.set(buffer.toString("latin1", record, record + 4), {
+      offset: buffer.readUInt32BE(record + 8),
+      length: buffer.readUInt32BE(record + 12)
+    });
+  }
+
+  const names = tables.get("name");
+  const family = readNameRecord(buffer, names, 16) || readNameRecord(buffer, names, 1);
+  if (!family) {
+    throw new Error("Font has no family name");
+  }
+  const os2 = tables.get("OS/2");
+  const weightClass = os2?.length >= 6 ? buffer.readUInt16BE(os2.offset + 4) : 400;
+  return {
+    family,
+    weight: String(Math.min(900, Math.max(100, Math.round(weightClass / 100) * 100))),
+    italic: os2?.length >= 64 ? Boolean(buffer.readUInt16BE(os2.offset + 62) & 1) : false,
+    isVariable: tables.has("fvar")
+  };
+}
+
+function readNameRecord(buffer, table, nameId) {
+  if (!table || table.offset + 6 > buffer.length) return null;
+  const count = buffer.readUInt16BE(table.offset + 2);
+  const stringsStart = table.offset + buffer.readUInt16BE(table.offset + 4);
+  let fallback = null;
+
+  for (let i = 0; i < count; i += 1) {
+    const record = table.offset + 6 + i * 12;
+    if (record + 12 > buffer.length) break;
+    if (buffer.readUInt16BE(record + 6) !== nameId) continue;
+    const platform = buffer.readUInt16BE(record);
+    const language = buffer.readUInt16BE(record + 4);
+    const length = buffer.readUInt16BE(record + 8);
+    const start = stringsStart + buffer.readUInt16BE(record + 10);
+    if (start + length > buffer.length) continue;
+
+    if ((platform === 0 || platform === 3) && length % 2 === 0) {
+      // Unicode and Windows names are UTF-16BE.
+      const value = Buffer.from(buffer.subarray(start, start + length)).swap16().toString("utf16le").trim();
+      if (platform === 3 && language === WINDOWS_ENGLISH && value) return value;
+      fallback = fallback || value;
+    } else if (platform === 1 && !fallback) {
+      fallback = buffer.toString("latin1", start, start + length).trim();
+    }
+  }
+  return fallback;
+}
+
+// Font files outside assets/fonts (brand kits). Faces are read once per path; resvg gets the paths
+// per render through renderSvgToPng's fontFiles option.
+export async function registerFontFiles(paths = []) {
+  const faces = [];
+  for (const filePath of paths) {
+    let face = registeredFaces.get(filePath);
+    if (!face) {
+      const fileBuffer = await fs.readFile(filePath);
+      const meta = EXTENSION_META.get(path.extname(filePath).toLowerCase()) ?? EXTENSION_META.get(".ttf");
+      face = {
+        ...readFontInfo(fileBuffer),
+        name: path.basename(filePath),
+        path: filePath,
+        base64: fileBuffer.toString("base64"),
+        format: meta.format,
+        mime: meta.mime
+      };
+      registeredFaces.set(filePath, face);
+    }
+    faces.push(face);
+  }
+  return faces;
+}
+
+export function forgetFontFiles(paths = []) {
+  paths.forEach((filePath) => registeredFaces.delete(filePath));
+}
+
+export async function fontMeta({ family = FONT_FAMILY, faces = [] } = {}) {
+  const familyFaces = faces.filter((face) => face.family === family && !face.italic);
+  if (family !== FONT_FAMILY && familyFaces.length) {
+    const weights = Array.from(new Set(familyFaces.map((face) => face.weight))).sort(
+      (a, b) => numericWeight(a) - numericWeight(b)
+    );
+    return {
+      family,
+      weights,
+      headlineWeight: weights[weights.length - 1],
+      bodyWeight: weights.find((weight) => numericWeight(weight) >= 400) ?? weights[0],
+      isVariable: false
+    };
+  }
   if (cachedMeta) return cachedMeta;
   const collection = await loadFontCollection();
   const weightSet = new Set(collection.availableWeights);
@@ -163,11 +269,58 @@ export async function fontMeta() {
   return cachedMeta;
 }
 
-export async function fontCSS() {
-  if (cachedCss) return cachedCss;
+// Brand family names come from uploaded fonts. Double quotes keep names like "Rock 'n' Roll" intact
+// (resvg does not unescape CSS strings); anything that could end the string or the surrounding CDATA
+// section is escaped so the stylesheet stays well-formed.
+function cssString(value) {
+  return `"${String(value).replace(/["\\]/g, "\\$&").replace(/]]>/g, "]]\\>")}"`;
+}
+
+// The @font-face rules are built once; the .hl and .body classes follow the slide theme.
+export async function fontCSS({ family = FONT_FAMILY, faces = [], color = "#F5EF77", headlineWeight, bodyWeight } = {}) {
+  const meta = await fontMeta({ family, faces });
+  const defaultFaces = await fontFaceCSS(await fontMeta());
+  const extraFaces = faces
+    .map(
+      (face) => `
+    @font-face {
+      font-family: ${cssString(face.family)};
+      font-style: ${face.italic ? "italic" : "normal"};
+      font-weight: ${face.weight};
+      font-display: swap;
+      src: url("data:${face.mime};base64,${face.base64}") format('${face.format}');
+    }`
+    )
+    .join("\n");
+  const headline = headlineWeight ?? meta.headlineWeight;
+  const body = bodyWeight ?? meta.bodyWeight;
+  const headlineVariation =
+    meta.isVariable ? ` font-variation-settings: 'wght' ${headline};` : "";
+  const bodyVariation =
+    meta.isVariable ? ` font-variation-settings: 'wght' ${body};` : "";
+
+  return `${defaultFaces}${extraFaces}
+    .hl {
+      font-family: ${cssString(family)};
+      font-weight: ${headline};
+      fill: ${color};
+      font-synthesis: none;
+      ${headlineVariation}
+    }
+    .body {
+      font-family: ${cssString(family)};
+      font-weight: ${body};
+      fill: ${color};
+      font-synthesis: none;
+      ${bodyVariation}
+    }
+  `;
+}
+
+async function fontFaceCSS(meta) {
+  if (cachedFaceCss) return cachedFaceCss;
 
   const collection = await loadFontCollection();
-  const meta = await fontMeta();
 
   const declarations = [];
 
@@ -218,27 +371,6 @@ export async function fontCSS() {
     });
   }
 
-  const headlineVariation =
-    meta.isVariable ? ` font-variation-settings: 'wght' ${meta.headlineWeight};` : "";
-  const bodyVariation =
-    meta.isVariable ? ` font-variation-settings: 'wght' ${meta.bodyWeight};` : "";
-
-  cachedCss = `${declarations.join("\n")}
-    .hl {
-      font-family: '${FONT_FAMILY}';
-      font-weight: ${meta.headlineWeight};
-      fill: #F5EF77;
-      font-synthesis: none;
-      ${headlineVariation}
-    }
-    .body {
-      font-family: '${FONT_FAMILY}';
-      font-weight: ${meta.bodyWeight};
-      fill: #F5EF77;
-      font-synthesis: none;
-      ${bodyVariation}
-    }
-  `;
-
-  return cachedCss;
+  cachedFaceCss = declarations.join("\n");
+  return cachedFaceCss;
 }
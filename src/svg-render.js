@@ -30,10 +30,13 @@ function parseBackground(background) {
   return background;
 }
 
-export async function renderSvgToPng(svg, { width, height, background = '#000000', flatten = true }) {
+// fontFiles adds fonts from outside assets/fonts (brand kits) for this render only.
+export async function renderSvgToPng(svg, { width, height, background = '#000000', flatten = true, fontFiles = [] }) {
   const resvg = new Resvg(svg, {
     fitTo: { mode: 'original' },
-    font: RESVG_FONT_OPTIONS
+    font: fontFiles.length
+      ? { ...RESVG_FONT_OPTIONS, fontFiles: Array.from(new Set([...FONT_FILES, ...fontFiles])) }
+      : RESVG_FONT_OPTIONS
   });
   const pngData = resvg.render().asPng();
 
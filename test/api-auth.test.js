@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import express from 'express';
+import { createApiAuth } from '../lib/api-auth.js';
+
+const apiAuth = createApiAuth({ keys: 'dashboard:k-123', urlSigningSecret: 'test-secret', production: true });
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api', apiAuth.authenticate);
+  app.get('/api/download', (req, res) => res.json({ fileId: req.query.fileId, client: req.apiClient.name }));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test('accepts a signed URL for the key that requested it', async () => {
+  const url = apiAuth.signUrl('/api/download?fileId=abc&local=1', { name: 'dashboard' });
+  const res = await fetch(`${baseUrl}${url}`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { fileId: 'abc', client: 'dashboard' });
+});
+
+test('rejects signed URLs that were changed or signed for unknown keys', async () => {
+  const url = apiAuth.signUrl('/api/download?fileId=abc&local=1', { name: 'dashboard' });
+  const targets = [
+    url.replace('fileId=abc', 'fileId=abd'),
+    url.replace(/\.(\d+)\./, (_, expires) => `.${Number(expires) + 3600}.`),
+    `${url}&disposition=inline`,
+    apiAuth.signUrl('/api/download?fileId=abc', { name: 'someone-else' })
+  ];
+  for (const target of targets) {
+    const res = await fetch(`${baseUrl}${target}`);
+    assert.equal(res.status, 401, target);
+    assert.equal((await res.json()).error, 'Invalid signed URL');
+  }
+});
+
+test('reports expired signed URLs', async () => {
+  const shortLived = createApiAuth({ keys: 'dashboard:k-123', urlSigningSecret: 'test-secret', signedUrlTtlMs: 1 });
+  const url = shortLived.signUrl('/api/download?fileId=abc', { name: 'dashboard' });
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+
+  const res = await fetch(`${baseUrl}${url}`);
+
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).error, 'Signed URL expired');
+});
+
+test('does not take API keys from the query string', async () => {
+  const res = await fetch(`${baseUrl}/api/download?fileId=abc&apiKey=k-123`);
+
+  assert.equal(res.status, 401);
+});
+
+test('refuses to start in production without keys unless open access is enabled', () => {
+  assert.throws(() => createApiAuth({ keys: '', keysFile: '', production: true }), /No API keys configured/);
+  assert.equal(createApiAuth({ keys: '', keysFile: '', production: true, openAccess: true }).openAccess, true);
+});
+
+test('reserves quota for requests in flight and refunds rejected ones', { timeout: 10_000 }, async () => {
+  const quota = createApiAuth({ keys: 'dashboard:k-123', dailyRenderQuota: 2, urlSigningSecret: 'test-secret' });
+  const pending = [];
+  const app = express();
+  app.use('/api', quota.authenticate);
+  app.post('/api/render', quota.renderQuota, (req, res) => {
+    pending.push(() => res.status(Number(req.query.status)).json({}));
+  });
+  const quotaServer = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const render = (status) => fetch(`http://127.0.0.1:${quotaServer.address().port}/api/render?status=${status}`, {
+    method: 'POST',
+    headers: { authorization: 'Bearer k-123' }
+  });
+
+  try {
+    const admitted = [render(400), render(202)];
+    while (pending.length < 2) await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal((await render(202)).status, 429);
+
+    pending.splice(0).forEach((respond) => respond());
+    assert.deepEqual((await Promise.all(admitted)).map((res) => res.status).sort(), [202, 400]);
+    const refunded = render(202);
+    while (pending.length < 1) await new Promise((resolve) => setTimeout(resolve, 10));
+    pending.splice(0).forEach((respond) => respond());
+    assert.equal((await refunded).status, 202);
+    assert.equal((await render(202)).status, 429);
+  } finally {
+    await new Promise((resolve) => quotaServer.close(resolve));
+  }
+});
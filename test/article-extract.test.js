@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import test from 'node:test';
+import { extractArticle } from '../lib/article-extract.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('keeps the article and drops navigation, sidebars, comments and link lists', () => {
+  const article = extractArticle(fixture('article.html'));
+
+  assert.equal(article.title, 'How Tide Pools Survive the Winter');
+  assert.match(article.html, /<h1>How Tide Pools Survive the Winter<\/h1>/);
+  assert.match(article.html, /periwinkles seal themselves/);
+  assert.match(article.html, /as soon as the days lengthen/);
+  for (const dropped of ['Coastal Notes', 'cookies', 'Share', 'Ecology', 'Ten beaches', 'Great article', 'Privacy']) {
+    assert.doesNotMatch(article.html, new RegExp(dropped));
+  }
+  assert.ok(article.textLength > 800);
+  assert.ok(article.pageTextLength > article.textLength);
+});
+
+test('reports no article text for pages without one', () => {
+  const article = extractArticle(fixture('no-article.html'));
+
+  assert.equal(article.title, 'Sign in');
+  assert.equal(article.textLength, 0);
+});
+
+test('survives deeply nested markup', () => {
+  const depth = 20_000;
+  const html = `<html><body>${'<div>'.repeat(depth)}<p>${'Nested paragraph text, kept. '.repeat(12)}</p>` +
+    `${'</div>'.repeat(depth)}<p>Closing paragraph after the nesting.</p></body></html>`;
+
+  const article = extractArticle(html);
+
+  assert.match(article.html, /Nested paragraph text, kept\./);
+  assert.match(article.html, /Closing paragraph after the nesting\./);
+});
+
+// The inputs below are sized so that a parser that rescans the rest of the page per tag would run
+// for minutes; the test timeout only catches that, it is not a performance budget.
+test('handles large flat pages', { timeout: 60_000 }, () => {
+  const paragraph = `<p>${'Lorem ipsum dolor sit amet, consectetur adipiscing elit. '.repeat(3)}<a href="#">more</a></p>`;
+  const html = `<html><body><div><section>${`<div>${paragraph}</div>`.repeat(10_000)}</section></div></body></html>`;
+
+  const article = extractArticle(html);
+
+  assert.ok(article.textLength > 1_600_000);
+});
+
+test('drops unclosed raw-text elements, comments and tags instead of rescanning them', { timeout: 60_000 }, () => {
+  const intro = `<html><head><title>Unclosed markup</title></head><body><p>${'Readable intro text. '.repeat(20)}</p>`;
+  for (const unclosed of ['<svg ', '<script ', '<svg>', '<script>', '<!--', '<title>', '<a href="', '<p ']) {
+    const article = extractArticle(intro + unclosed.repeat(Math.ceil(400_000 / unclosed.length)));
+
+    assert.equal(article.title, 'Unclosed markup');
+    assert.match(article.html, /Readable intro text\./);
+    assert.doesNotMatch(article.html.slice(article.html.indexOf('<body>')), new RegExp(unclosed.slice(1, 4)));
+  }
+});
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { htmlToPlainText, selectDocumentText } from '../lib/document-text.js';
+
+const extracted = {
+  text: [
+    '# Chapter 3 Methods',
+    'Samples were taken weekly.',
+    '# Chapter 30 Appendix',
+    'Raw tables follow.',
+    '## 3.2 Results and discussion',
+    'Yields rose by a third.'
+  ].join('\n'),
+  outline: [],
+  tables: []
+};
+
+test('selects sections by whole-word title prefix', () => {
+  const { text, selection } = selectDocumentText(extracted, { sections: ['Chapter 3'] });
+
+  assert.deepEqual(selection.sections, ['Chapter 3 Methods']);
+  assert.match(text, /Samples were taken weekly/);
+  assert.doesNotMatch(text, /Raw tables follow/);
+});
+
+test('ignores section numbers when matching titles', () => {
+  const { text, selection } = selectDocumentText(extracted, { sections: ['results'] });
+
+  assert.deepEqual(selection.sections, ['3.2 Results and discussion']);
+  assert.match(text, /Yields rose by a third/);
+});
+
+test('does not match titles in the middle of a heading', () => {
+  assert.throws(() => selectDocumentText(extracted, { sections: ['Appendix'] }), { code: 'section_not_found' });
+});
+
+// Sized so that rescanning the rest of the document per tag would run for minutes; the timeout only
+// catches that, it is not a performance budget.
+test('converts HTML with unclosed elements without rescanning them', { timeout: 60_000 }, () => {
+  const intro = '<html><head><title>Unclosed</title></head><body><p>Readable intro.</p>';
+  for (const unclosed of ['<svg ', '<script>', '<h1>', '<title>', '<!--', '<li ', '<p class="']) {
+    const text = htmlToPlainText(intro + unclosed.repeat(Math.ceil(400_000 / unclosed.length)));
+
+    assert.ok(text.endsWith('Readable intro.'), `${unclosed} left ${JSON.stringify(text.slice(-40))}`);
+  }
+  assert.equal(htmlToPlainText(`<p>Spaced${' '.repeat(400_000)}\nout</p>`), 'Spaced\nout');
+});
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import test from 'node:test';
+import { createPdfOcr } from '../lib/pdf-ocr.js';
+
+test('recognizes a scan stored as several image strips', async () => {
+  // One page, 150 dpi, the scan split into three horizontal strips without a text layer.
+  const buffer = fs.readFileSync(new URL('./fixtures/tiled-scan.pdf', import.meta.url));
+  const ocr = createPdfOcr({ enabled: true });
+
+  const result = await ocr.recognize(buffer, { text: '', pageCount: 1, pages: [{ page: 1, text: '' }] });
+
+  assert.match(result.text, /Quarterly report on regional sales/);
+  assert.match(result.text, /northern office opened in March/);
+  assert.match(result.text, /approved the new budget plan/);
+});
+
+test('keeps the flat-text fallback of PDFs that have a text layer', async () => {
+  const buffer = fs.readFileSync(new URL('./fixtures/tiled-scan.pdf', import.meta.url));
+  const ocr = createPdfOcr({ enabled: true });
+  const extracted = { text: 'Text from the fallback parser, which has no per-page split.', pageCount: 1, pages: [] };
+
+  assert.deepEqual(ocr.scannedPages(extracted), []);
+  assert.equal(await ocr.recognize(buffer, extracted), extracted);
+  assert.deepEqual(ocr.scannedPages({ ...extracted, text: '' }), [1]);
+  assert.match((await ocr.recognize(buffer, { ...extracted, text: '' })).text, /Quarterly report on regional sales/);
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+
+const root = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const deepPage = `<html><body>${'<div>'.repeat(20_000)}${'</div>'.repeat(20_000)}</body></html>`;
+
+let site;
+let server;
+let baseUrl;
+let siteUrl;
+let stateDir;
+
+// Serves the fixture pages on loopback; the app under test runs as a child process with
+// URL_FETCH_ALLOW_PRIVATE so it may fetch them.
+before(async () => {
+  site = http.createServer((req, res) => {
+    if (req.url === '/deep.html') {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      return res.end(deepPage);
+    }
+    const file = path.join(root, 'test', 'fixtures', path.basename(req.url));
+    if (!fs.existsSync(file)) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    return res.end(fs.readFileSync(file));
+  });
+  await new Promise((resolve) => site.listen(0, '127.0.0.1', resolve));
+  siteUrl = `http://127.0.0.1:${site.address().port}`;
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-route-test-'));
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: root,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      API_OPEN_ACCESS: 'true',
+      PORT: String(port),
+      ELEVENLABS_API_KEY: 'test',
+      ELEVENLABS_VOICE_ID: 'test',
+      LONGCAT_API_BASE: 'http://127.0.0.1:9',
+      URL_FETCH_ALLOW_PRIVATE: 'true',
+      PIPELINE_CACHE_DIR: path.join(stateDir, 'cache'),
+      RENDERS_DIR: path.join(stateDir, 'renders'),
+      BRAND_KITS_DIR: path.join(stateDir, 'brand-kits')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('Server on')) resolve();
+    });
+    server.on('exit', (code) => reject(new Error(`server exited with code ${code}`)));
+  });
+});
+
+after(async () => {
+  if (server.exitCode === null) {
+    server.kill();
+    await new Promise((resolve) => server.once('exit', resolve));
+  }
+  await new Promise((resolve) => site.close(resolve));
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+test('queues a job for a page with an article', async () => {
+  const res = await createFromUrl(`${siteUrl}/article.html`);
+  const body = await res.json();
+
+  assert.equal(res.status, 202);
+  assert.equal(body.sourceUrl, `${siteUrl}/article.html`);
+
+  await fetch(`${baseUrl}/api/jobs/${body.jobId}`, { method: 'DELETE' });
+  const job = await waitForJob(body.jobId);
+  const fetched = job.progress.find((entry) => entry.detail?.startsWith('Fetched '));
+  assert.match(fetched.detail, /article\.html .*article text kept \d+ of \d+ chars/);
+});
+
+test('answers 422 for a page without article text', async () => {
+  const res = await createFromUrl(`${siteUrl}/no-article.html`);
+
+  assert.equal(res.status, 422);
+  assert.match((await res.json()).error, /No readable article text/);
+});
+
+test('answers deeply nested pages without bringing the server down', async () => {
+  const res = await createFromUrl(`${siteUrl}/deep.html`);
+
+  assert.equal(res.status, 422);
+  assert.equal(server.exitCode, null);
+  assert.equal((await fetch(`${baseUrl}/api/layouts`)).status, 200);
+});
+
+test('answers 404 pages with a fetch error', async () => {
+  const res = await createFromUrl(`${siteUrl}/missing.html`);
+
+  assert.ok(res.status >= 400);
+  assert.ok((await res.json()).error);
+});
+
+function createFromUrl(url) {
+  return fetch(`${baseUrl}/api/create-video-from-url`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ url })
+  });
+}
+
+async function waitForJob(id) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const job = await (await fetch(`${baseUrl}/api/jobs/${id}`)).json();
+    if (['succeeded', 'failed', 'cancelled'].includes(job.state)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`job ${id} did not finish`);
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = http.createServer();
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}